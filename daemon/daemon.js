@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Scheduler Daemon
+ * Runs the web app's schedules without a browser, e.g. as a system service:
+ *
+ *     node daemon/daemon.js [path/to/config.json]
+ *
+ * The config holds the Spotify client ID, a refresh token and the path of the
+ * schedule JSON exported from the web app (see config.example.json).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { createScheduler } = require('../js/scheduler.js');
+const { createSpotifyAPI } = require('../js/spotify-api.js');
+const { createFileStorage } = require('./file-storage.js');
+const { createTokenAuth } = require('./token-auth.js');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'config.json');
+
+/**
+ * Create a logger that writes timestamped lines to stdout
+ */
+function createLogger() {
+    const write = (level, args) => {
+        process.stdout.write(`${new Date().toISOString()} ${level} ${util.format(...args)}\n`);
+    };
+    return {
+        log: (...args) => write('INFO', args),
+        warn: (...args) => write('WARN', args),
+        error: (...args) => write('ERROR', args),
+    };
+}
+
+/**
+ * Load and check the daemon config
+ * @param {string} configPath - Path of the config JSON file
+ * @returns {Object} Config with clientId, refreshToken and schedulesFile
+ */
+function loadConfig(configPath) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read config ${configPath}: ${error.message}`);
+    }
+
+    ['clientId', 'refreshToken', 'schedulesFile'].forEach(field => {
+        if (!config[field]) {
+            throw new Error(`Config ${configPath} is missing "${field}"`);
+        }
+    });
+    return config;
+}
+
+/**
+ * Write the config back, e.g. after Spotify handed out a new refresh token
+ */
+function saveConfig(configPath, config) {
+    const tempPath = `${configPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(tempPath, configPath);
+}
+
+/**
+ * Start the daemon
+ */
+async function main() {
+    const logger = createLogger();
+    const configPath = path.resolve(process.argv[2] || DEFAULT_CONFIG_PATH);
+
+    let config;
+    try {
+        config = loadConfig(configPath);
+    } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+    }
+
+    const auth = createTokenAuth(config, () => saveConfig(configPath, config), logger);
+    if (!await auth.refreshToken()) {
+        // Keep running - the token is refreshed again before the next request
+        logger.warn('Could not get an access token yet; check the network and the refresh token in the config');
+    }
+
+    // Relative schedule paths are relative to the config file
+    const schedulesPath = path.resolve(path.dirname(configPath), config.schedulesFile);
+    const scheduler = createScheduler({
+        storage: createFileStorage(schedulesPath),
+        player: createSpotifyAPI(auth),
+        logger: logger,
+        notify: (message, isError) => (isError ? logger.error(message) : logger.log(message))
+    });
+
+    try {
+        scheduler.init();
+    } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+    }
+
+    const schedules = scheduler.getSchedules();
+    logger.log(`Loaded ${schedules.length} schedule${schedules.length !== 1 ? 's' : ''} from ${schedulesPath}`);
+    schedules.forEach(schedule => {
+        const next = scheduler.getNextFireTime(schedule);
+        const nextText = !schedule.enabled ? 'disabled' : (next ? `next at ${next.toLocaleString()}` : 'no upcoming time');
+        logger.log(`  ${schedule.time} ${schedule.trackName} (${scheduler.describeRecurrence(schedule.recurrence)}) - ${nextText}`);
+    });
+
+    const stop = signal => {
+        logger.log(`Received ${signal}, shutting down`);
+        scheduler.shutdown();
+        process.exit(0);
+    };
+    process.on('SIGTERM', () => stop('SIGTERM'));
+    process.on('SIGINT', () => stop('SIGINT'));
+}
+
+main();
@@ -0,0 +1,81 @@
+/**
+ * File Storage
+ * A localStorage-like store backed by the schedule JSON file, for the daemon
+ */
+
+const fs = require('fs');
+
+// Storage keys used by the scheduler, and the fields they are kept under in the file
+const FILE_FIELDS = {
+    spotify_schedules: 'schedules',
+    spotify_skip_dates: 'skipDates',
+    spotify_playback_session: 'playbackSession'
+};
+
+/**
+ * Create a storage that reads and writes a JSON file.
+ * The file holds { schedules, skipDates } as exported by the web app; a plain
+ * array of schedules is read as well and rewritten in that form on the first save.
+ * @param {string} filePath - Path of the schedule JSON file
+ * @returns {Object} Storage with getItem, setItem and removeItem
+ */
+function createFileStorage(filePath) {
+    /**
+     * Read the whole file
+     */
+    function read() {
+        if (!fs.existsSync(filePath)) {
+            return {};
+        }
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read ${filePath}: ${error.message}`);
+        }
+        return Array.isArray(data) ? { schedules: data } : data;
+    }
+
+    /**
+     * Replace the file, going through a temporary file so a crash can't leave it half written
+     */
+    function write(data) {
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2) + '\n');
+        fs.renameSync(tempPath, filePath);
+    }
+
+    /**
+     * Get a stored value as a JSON string, or null
+     */
+    function getItem(key) {
+        const value = read()[FILE_FIELDS[key] || key];
+        return value === undefined ? null : JSON.stringify(value);
+    }
+
+    /**
+     * Store a JSON string value
+     */
+    function setItem(key, value) {
+        const data = read();
+        data[FILE_FIELDS[key] || key] = JSON.parse(value);
+        write(data);
+    }
+
+    /**
+     * Remove a stored value
+     */
+    function removeItem(key) {
+        const data = read();
+        delete data[FILE_FIELDS[key] || key];
+        write(data);
+    }
+
+    return {
+        getItem,
+        setItem,
+        removeItem,
+    };
+}
+
+module.exports = { createFileStorage };
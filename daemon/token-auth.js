@@ -0,0 +1,84 @@
+/**
+ * Token Auth
+ * Keeps an access token fresh from the refresh token in the daemon config
+ */
+
+const TOKEN_ENDPOINT = 'https://accounts.spotify.com/api/token';
+const EXPIRY_BUFFER_MS = 5 * 60 * 1000; // Refresh 5 minutes before the token expires
+
+/**
+ * Create a token source for createSpotifyAPI, like SpotifyAuth in the browser.
+ * Spotify may hand out a new refresh token on every refresh; it is written back to the config.
+ * @param {Object} config - Daemon config with clientId and refreshToken
+ * @param {Function} saveConfig - Called after config.refreshToken changed
+ * @param {Object} logger - { log, warn, error } like console
+ * @returns {Object} Auth with getAccessToken and refreshToken
+ */
+function createTokenAuth(config, saveConfig, logger) {
+    let accessToken = null;
+    let tokenExpiry = 0;
+    let pendingRefresh = null; // Shared by requests that need a token at the same time
+
+    /**
+     * Get a new access token
+     * @returns {boolean} Whether the refresh succeeded
+     */
+    async function refreshToken() {
+        try {
+            const response = await fetch(TOKEN_ENDPOINT, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                },
+                body: new URLSearchParams({
+                    client_id: config.clientId,
+                    grant_type: 'refresh_token',
+                    refresh_token: config.refreshToken,
+                }),
+            });
+
+            const data = await response.json();
+
+            if (data.error) {
+                logger.error('Token refresh error:', data.error_description || data.error);
+                return false;
+            }
+
+            accessToken = data.access_token;
+            tokenExpiry = Date.now() + (data.expires_in * 1000);
+            if (data.refresh_token && data.refresh_token !== config.refreshToken) {
+                config.refreshToken = data.refresh_token;
+                saveConfig();
+            }
+            return true;
+        } catch (error) {
+            logger.error('Token refresh error:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get a valid access token, refreshing it if needed
+     * @returns {string|null} Access token, or null if it couldn't be refreshed
+     */
+    async function getAccessToken() {
+        if (!accessToken || Date.now() > tokenExpiry - EXPIRY_BUFFER_MS) {
+            if (!pendingRefresh) {
+                pendingRefresh = refreshToken().finally(() => {
+                    pendingRefresh = null;
+                });
+            }
+            if (!await pendingRefresh) {
+                return null;
+            }
+        }
+        return accessToken;
+    }
+
+    return {
+        getAccessToken,
+        refreshToken,
+    };
+}
+
+module.exports = { createTokenAuth };
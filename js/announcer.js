@@ -0,0 +1,109 @@
+/**
+ * Announcer Module
+ * Speaks schedule announcements with the browser's speech synthesis
+ */
+
+const Announcer = (function() {
+    const MAX_SPEECH_MS = 2 * 60 * 1000; // Some browsers never report the end of an utterance, so give up after this
+
+    let current = null; // { utterance, finish } for the announcement being spoken
+
+    /**
+     * Get the voices the browser can speak with. The list may be empty until the
+     * browser has loaded it, see onVoicesChanged.
+     * @returns {Array} Voices as { uri, name, lang, isDefault }
+     */
+    function getVoices() {
+        if (typeof speechSynthesis === 'undefined') {
+            return [];
+        }
+        return speechSynthesis.getVoices().map(voice => ({
+            uri: voice.voiceURI,
+            name: voice.name,
+            lang: voice.lang,
+            isDefault: voice.default
+        }));
+    }
+
+    /**
+     * Listen for the browser loading or changing its voices
+     * @param {Function} listener - Called without arguments
+     */
+    function onVoicesChanged(listener) {
+        if (typeof speechSynthesis !== 'undefined') {
+            speechSynthesis.addEventListener('voiceschanged', listener);
+        }
+    }
+
+    /**
+     * Speak a text, replacing any announcement that is being spoken
+     * @param {string} text - Text to speak
+     * @param {Object} options - Speech options
+     * @param {string} options.voice - Voice URI, or null for the default voice
+     * @param {string} options.lang - BCP 47 language tag, or null for the voice's language
+     * @param {number} options.rate - Speaking rate (1 is normal)
+     * @returns {Promise} Resolves when speaking has finished or was cancelled
+     */
+    function speak(text, { voice, lang, rate } = {}) {
+        if (typeof speechSynthesis === 'undefined') {
+            return Promise.reject(new Error('This browser cannot speak announcements'));
+        }
+        cancel();
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        const chosenVoice = voice ? speechSynthesis.getVoices().find(v => v.voiceURI === voice) : null;
+        if (chosenVoice) {
+            utterance.voice = chosenVoice;
+            utterance.lang = chosenVoice.lang;
+        }
+        if (lang) {
+            utterance.lang = lang;
+        }
+        utterance.rate = rate || 1;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => finish(), MAX_SPEECH_MS);
+            const finish = (error) => {
+                clearTimeout(timer);
+                if (current && current.utterance === utterance) {
+                    current = null;
+                }
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+
+            utterance.onend = () => finish();
+            utterance.onerror = (event) => {
+                // Cancelling counts as finishing, so the caller can carry on
+                const cancelled = event.error === 'canceled' || event.error === 'interrupted';
+                finish(cancelled ? null : new Error(`Speech failed (${event.error})`));
+            };
+
+            current = { utterance, finish };
+            speechSynthesis.speak(utterance);
+        });
+    }
+
+    /**
+     * Stop the announcement that is being spoken, if any
+     */
+    function cancel() {
+        if (current) {
+            const { finish } = current;
+            current = null;
+            speechSynthesis.cancel();
+            finish();
+        }
+    }
+
+    // Public API
+    return {
+        speak,
+        cancel,
+        getVoices,
+        onVoicesChanged
+    };
+})();
@@ -21,17 +21,104 @@ const App = (function() {
     let scheduleRestore;
     let searchResults;
     let schedulesList;
+    let readinessWarning;
+    let soundWarning;
+    let timingWarning;
+    let timingWarningText;
+    let timingWarningDismiss;
+    let exportSchedulesBtn;
     let toast;
     let playbackDuration;
     let playbackDurationNumber;
+    let playbackStart;
+    let playbackStartGroup;
+    let playbackStartNumber;
+    let playbackStartDisplay;
     let playbackDurationDisplay;
     let trackDurationInfo;
     let trackDurationDisplay;
+    let scheduleRecurrence;
+    let recurrenceCustom;
+    let scheduleDays;
+    let scheduleWeekInterval;
+    let recurrenceOnce;
+    let scheduleDate;
+    let skipDateForm;
+    let skipDateStart;
+    let skipDateEnd;
+    let skipDateLabel;
+    let skipDatesList;
+    let scheduleMissedPolicy;
+    let gracePeriod;
+    let scheduleGraceMinutes;
+    let scheduleConflictPolicy;
+    let scheduleStartMode;
+    let scheduleReadinessMinutes;
+    let scheduleFallback;
+    let fallbackFileGroup;
+    let scheduleFallbackFile;
+    let fallbackFileName;
+    let previewFallbackBtn;
+    let scheduleAnnouncement;
+    let announcementOptions;
+    let announcementPosition;
+    let announcementVoice;
+    let announcementLang;
+    let announcementRate;
+    let announcementDuck;
+    let previewAnnouncementBtn;
+    let scheduleSubmit;
+    let scheduleCancelEdit;
+    let trackDurationLabel;
+    let contextOptions;
+    let startTrackGroup;
+    let scheduleStartTrack;
+    let scheduleShuffle;
+    let scheduleMode;
+    let poolOptions;
+    let poolTracksList;
+    let scheduleDevice;
+    let refreshDevicesBtn;
+    let scheduleDevicesList;
+    let schedulePoolStrategy;
+    let scheduleFadeIn;
+    let scheduleFadeOut;
+
+    // How long a playlist/album/artist of unknown length may be played for
+    const MAX_CONTEXT_DURATION_SECONDS = 60 * 60;
+    const CONTEXT_TYPE_LABELS = { playlist: 'Playlist', album: 'Album', artist: 'Artist' };
+    // Why pasted links to these kinds of item can't be scheduled, and what to paste instead
+    const UNSUPPORTED_LINK_MESSAGES = {
+        show: 'Podcasts can\'t be scheduled as a whole - paste a link to one of its episodes',
+        audiobook: 'Audiobooks can\'t be scheduled - Spotify doesn\'t allow starting them from other apps',
+        chapter: 'Audiobook chapters can\'t be scheduled - Spotify doesn\'t allow starting them from other apps',
+        user: 'That is a link to a Spotify profile - paste a link to one of its playlists'
+    };
+    const POOL_STRATEGY_LABELS = { 'random': 'Random', 'round-robin': 'In order', 'no-repeat': 'No repeats' };
+    const CONFLICT_POLICY_LABELS = { 'preempt': 'takes over', 'queue': 'waits', 'skip': 'is skipped' };
+    const ANNOUNCEMENT_POSITION_LABELS = { 'before': 'first', 'after': 'afterwards', 'instead': 'instead of music' };
+    const MAX_POOL_PLAYBACK_SECONDS = 600; // Duration slider range when pool track lengths are unknown
+    const SPOTIFY_LINK_PATTERN = /^spotify:|(?:open|play)\.spotify\.com\/|spotify\.link\/|spoti\.fi\//i;
+    const SPOTIFY_ID_PATTERN = /^[a-zA-Z0-9]{22}$/; // Spotify IDs are always 22 characters of base 62
+    // How often the display asks for the playback state. Running schedules poll faster by themselves,
+    // and a hidden tab doesn't ask at all.
+    const PLAYBACK_DISPLAY_INTERVAL_MS = 30 * 1000;
 
     // State
-    let selectedTrack = null;
+    let selectedTrack = null; // Selected track, or playlist/album/artist (see selectContext)
+    let editingScheduleId = null; // Schedule loaded into the form for editing
+    let wakeLock = null; // Screen wake lock held while schedules are armed
+    let wakeLockRequest = null; // Pending wake lock request
+    let pageTitle = document.title; // Title without the background warning
+    let dismissedDelayAt = null; // Timestamp of the check delay the user dismissed
+    let scheduleDevices = []; // Devices chosen in the form, in fallback order, as { id, name }
+    let availableDevices = []; // Devices from the last getDevices call
+    let fallbackFileSound = null; // Uploaded fallback file in the form, as { type: 'file', fileId, name }
+    let poolTracks = []; // Tracks added to the pool in the form
+    let poolPlaylist = null; // Playlist the pool in the form points at
     let searchTimeout = null;
-    let playbackInterval = null;
+    let handledLinkQuery = null; // Last link looked up from the search field, so leaving the field doesn't repeat it
+    let unsubscribePlayback = null; // Stops the current playback display's subscription
     let countdownInterval = null;
 
     // Default avatar for users without a profile image
@@ -83,12 +170,68 @@ const App = (function() {
         scheduleRestore = document.getElementById('schedule-restore');
         searchResults = document.getElementById('search-results');
         schedulesList = document.getElementById('schedules-list');
+        readinessWarning = document.getElementById('readiness-warning');
+        soundWarning = document.getElementById('sound-warning');
+        timingWarning = document.getElementById('timing-warning');
+        timingWarningText = document.getElementById('timing-warning-text');
+        timingWarningDismiss = document.getElementById('timing-warning-dismiss');
+        exportSchedulesBtn = document.getElementById('export-schedules');
         toast = document.getElementById('toast');
         playbackDuration = document.getElementById('playback-duration');
         playbackDurationNumber = document.getElementById('playback-duration-number');
+        playbackStart = document.getElementById('playback-start');
+        playbackStartGroup = document.getElementById('playback-start-group');
+        playbackStartNumber = document.getElementById('playback-start-number');
+        playbackStartDisplay = document.getElementById('playback-start-display');
         playbackDurationDisplay = document.getElementById('playback-duration-display');
         trackDurationInfo = document.getElementById('track-duration-info');
         trackDurationDisplay = document.getElementById('track-duration-display');
+        scheduleRecurrence = document.getElementById('schedule-recurrence');
+        recurrenceCustom = document.getElementById('recurrence-custom');
+        scheduleDays = document.getElementById('schedule-days');
+        scheduleWeekInterval = document.getElementById('schedule-week-interval');
+        recurrenceOnce = document.getElementById('recurrence-once');
+        scheduleDate = document.getElementById('schedule-date');
+        skipDateForm = document.getElementById('skip-date-form');
+        skipDateStart = document.getElementById('skip-date-start');
+        skipDateEnd = document.getElementById('skip-date-end');
+        skipDateLabel = document.getElementById('skip-date-label');
+        skipDatesList = document.getElementById('skip-dates-list');
+        scheduleMissedPolicy = document.getElementById('schedule-missed-policy');
+        gracePeriod = document.getElementById('grace-period');
+        scheduleGraceMinutes = document.getElementById('schedule-grace-minutes');
+        scheduleConflictPolicy = document.getElementById('schedule-conflict-policy');
+        scheduleStartMode = document.getElementById('schedule-start-mode');
+        scheduleReadinessMinutes = document.getElementById('schedule-readiness-minutes');
+        scheduleFallback = document.getElementById('schedule-fallback');
+        fallbackFileGroup = document.getElementById('fallback-file-group');
+        scheduleFallbackFile = document.getElementById('schedule-fallback-file');
+        fallbackFileName = document.getElementById('fallback-file-name');
+        previewFallbackBtn = document.getElementById('preview-fallback');
+        scheduleAnnouncement = document.getElementById('schedule-announcement');
+        announcementOptions = document.getElementById('announcement-options');
+        announcementPosition = document.getElementById('announcement-position');
+        announcementVoice = document.getElementById('announcement-voice');
+        announcementLang = document.getElementById('announcement-lang');
+        announcementRate = document.getElementById('announcement-rate');
+        announcementDuck = document.getElementById('announcement-duck');
+        previewAnnouncementBtn = document.getElementById('preview-announcement');
+        scheduleSubmit = document.getElementById('schedule-submit');
+        scheduleCancelEdit = document.getElementById('schedule-cancel-edit');
+        trackDurationLabel = document.getElementById('track-duration-label');
+        contextOptions = document.getElementById('context-options');
+        startTrackGroup = document.getElementById('start-track-group');
+        scheduleStartTrack = document.getElementById('schedule-start-track');
+        scheduleShuffle = document.getElementById('schedule-shuffle');
+        scheduleMode = document.getElementById('schedule-mode');
+        poolOptions = document.getElementById('pool-options');
+        poolTracksList = document.getElementById('pool-tracks');
+        scheduleDevice = document.getElementById('schedule-device');
+        refreshDevicesBtn = document.getElementById('refresh-devices');
+        scheduleDevicesList = document.getElementById('schedule-devices');
+        schedulePoolStrategy = document.getElementById('schedule-pool-strategy');
+        scheduleFadeIn = document.getElementById('schedule-fade-in');
+        scheduleFadeOut = document.getElementById('schedule-fade-out');
     }
 
     /**
@@ -108,24 +251,66 @@ const App = (function() {
             volumeDisplay.textContent = `${scheduleVolume.value}%`;
         });
 
-        // Playback duration slider and number input
+        // Playback start/stop sliders and number inputs
         playbackDuration.addEventListener('input', () => {
-            const seconds = parseInt(playbackDuration.value);
-            playbackDurationNumber.value = seconds;
-            updatePlaybackDurationDisplay(seconds);
+            setPlaybackRange(getPlaybackStart(), parseInt(playbackDuration.value), 'end');
         });
 
         playbackDurationNumber.addEventListener('input', () => {
-            const seconds = Math.max(0, parseInt(playbackDurationNumber.value) || 0);
-            const maxSeconds = parseInt(playbackDuration.max);
-            const clampedSeconds = Math.min(seconds, maxSeconds);
-            playbackDuration.value = clampedSeconds;
-            playbackDurationNumber.value = clampedSeconds;
-            updatePlaybackDurationDisplay(clampedSeconds);
+            setPlaybackRange(getPlaybackStart(), parseInt(playbackDurationNumber.value) || 0, 'end');
+        });
+
+        playbackStart.addEventListener('input', () => {
+            setPlaybackRange(parseInt(playbackStart.value), parseInt(playbackDuration.value), 'start');
+        });
+
+        playbackStartNumber.addEventListener('input', () => {
+            setPlaybackRange(parseInt(playbackStartNumber.value) || 0, parseInt(playbackDuration.value), 'start');
+        });
+
+        // Recurrence preset - custom shows the day picker, once shows the date
+        scheduleRecurrence.addEventListener('change', () => {
+            updateRecurrenceControls();
+            if (scheduleRecurrence.value === 'once' && !scheduleDate.value) {
+                scheduleDate.value = Scheduler.toDateKey(new Date());
+            }
         });
 
+        // Single track/context or pool
+        scheduleMode.addEventListener('change', updateModeControls);
+
+        // Target device and fallbacks
+        scheduleDevice.addEventListener('change', () => {
+            const device = availableDevices.find(d => d.id === scheduleDevice.value);
+            if (device) {
+                scheduleDevices.push({ id: device.id, name: device.name });
+                renderScheduleDevices();
+            }
+        });
+        refreshDevicesBtn.addEventListener('click', loadDevices);
+
+        // Fallback sound - files are stored as soon as they are picked
+        scheduleFallback.addEventListener('change', updateFallbackControls);
+        scheduleFallbackFile.addEventListener('change', handleFallbackFile);
+        previewFallbackBtn.addEventListener('click', previewFallbackSound);
+        // Browsers only allow page audio after a user gesture, so unlock it on the first click
+        document.addEventListener('click', () => FallbackAudio.unlock(), { once: true });
+        FallbackAudio.onStateChange(() => renderSoundWarning(Scheduler.getSchedules()));
+
+        // Announcement - the options only show once there is something to say
+        scheduleAnnouncement.addEventListener('input', updateAnnouncementControls);
+        announcementPosition.addEventListener('change', updateAnnouncementControls);
+        previewAnnouncementBtn.addEventListener('click', previewAnnouncement);
+        renderVoices();
+        Announcer.onVoicesChanged(renderVoices);
+
+        // Missed-trigger policy - only grace needs a period
+        scheduleMissedPolicy.addEventListener('change', updateMissedPolicyControls);
+
         // Track search
         scheduleTrack.addEventListener('input', handleTrackSearch);
+        // Leaving the field finishes a link that was typed in by hand
+        scheduleTrack.addEventListener('change', handleTrackSearch);
         scheduleTrack.addEventListener('focus', () => {
             if (searchResults.children.length > 0) {
                 searchResults.classList.remove('hidden');
@@ -141,6 +326,39 @@ const App = (function() {
 
         // Schedule form submission
         scheduleForm.addEventListener('submit', handleScheduleSubmit);
+        scheduleCancelEdit.addEventListener('click', stopEditing);
+
+        // Skip date form submission
+        skipDateForm.addEventListener('submit', handleSkipDateSubmit);
+
+        // Download schedules for the daemon
+        exportSchedulesBtn.addEventListener('click', exportSchedules);
+
+        // Warn about late triggers in the background and keep the screen awake
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        timingWarningDismiss.addEventListener('click', () => {
+            dismissedDelayAt = Scheduler.getTimingStatus().lastDelay?.at ?? null;
+            timingWarning.classList.add('hidden');
+        });
+
+        // Show schedule and skip date edits made in other tabs
+        window.addEventListener('storage', (e) => Scheduler.handleStorageChange(e.key));
+
+        // Let another tab take over triggering as soon as this one closes
+        window.addEventListener('pagehide', () => Scheduler.shutdown());
+        window.addEventListener('pageshow', (e) => {
+            if (e.persisted) {
+                // Back from the page cache - start competing for triggering again
+                Scheduler.startChecking();
+            }
+        });
+
+        // Show and clear the playing status as soon as a schedule starts or ends
+        Scheduler.onSessionTransition(({ to }) => {
+            if (to === 'playing' || to === 'done') {
+                renderSchedules();
+            }
+        });
     }
 
     /**
@@ -168,12 +386,18 @@ const App = (function() {
             } else {
                 userAvatar.src = DEFAULT_AVATAR;
             }
+            if (SpotifyAuth.getMissingScopes().length > 0) {
+                // Logins from before the app asked for playlist access can't read private playlists
+                showToast('Please log out and log in again to give the app access to your private and collaborative playlists', true);
+            }
 
             // Initialize scheduler
             Scheduler.init();
 
             // Load schedules
             renderSchedules();
+            renderSkipDates();
+            loadDevices();
 
             // Start playback monitoring
             startPlaybackMonitoring();
@@ -190,13 +414,14 @@ const App = (function() {
     function handleLogout() {
         SpotifyAuth.logout();
         Scheduler.stopChecking();
-        if (playbackInterval) {
-            clearInterval(playbackInterval);
-        }
+        stopPlaybackMonitoring();
         if (countdownInterval) {
             clearInterval(countdownInterval);
         }
         showLogin();
+        updateWakeLock();
+        FallbackAudio.stop();
+        Announcer.cancel();
         showToast('Logged out successfully');
     }
 
@@ -212,15 +437,18 @@ const App = (function() {
         }
 
         // Check if it's a Spotify URI or URL
-        const trackId = SpotifyAPI.extractTrackId(query);
-        if (trackId) {
-            try {
-                const track = await SpotifyAPI.getTrack(trackId);
-                selectTrack(track);
-                searchResults.classList.add('hidden');
-            } catch {
-                // Not a valid track, continue with search
+        if (SPOTIFY_LINK_PATTERN.test(query)) {
+            searchResults.classList.add('hidden');
+            // A pasted link is complete; one typed by hand is only complete once the field is left
+            const finished = e.type === 'change' || e.inputType === 'insertFromPaste';
+            if (e.type === 'input') {
+                handledLinkQuery = null;
             }
+            searchTimeout = setTimeout(() => handleLink(query, finished), 300);
+            return;
+        }
+        if (e.type === 'change') {
+            // Searches run as the user types
             return;
         }
 
@@ -233,54 +461,302 @@ const App = (function() {
         // Debounce search
         searchTimeout = setTimeout(async () => {
             try {
-                const tracks = await SpotifyAPI.searchTracks(query);
-                renderSearchResults(tracks);
+                const results = await SpotifyAPI.search(query, ['track', 'playlist', 'album', 'artist'], 4);
+                renderSearchResults(results);
             } catch (error) {
                 console.error('Search error:', error);
             }
         }, 300);
     }
 
+    /**
+     * Look up a Spotify link typed or pasted into the search field. Links that may still
+     * be incomplete are left alone, so typing one doesn't show an error on every key.
+     * @param {string} query - Text of the search field
+     * @param {boolean} finished - Whether the user has finished entering the link
+     */
+    async function handleLink(query, finished) {
+        const link = SpotifyAPI.parseSpotifyLink(query);
+        const complete = finished || (link && link.type !== 'short' && SPOTIFY_ID_PATTERN.test(link.id));
+        if (!complete || query === handledLinkQuery || scheduleTrack.value.trim() !== query) {
+            return;
+        }
+        handledLinkQuery = query;
+
+        if (!link) {
+            showToast('That Spotify link doesn\'t point to a track, episode, playlist, album or artist', true);
+            return;
+        }
+        if (link.type === 'short') {
+            showToast('Short spotify.link links can\'t be opened from here. Open the link in a browser and paste the open.spotify.com link it leads to.', true);
+            return;
+        }
+        try {
+            await chooseLink(link);
+        } catch (error) {
+            showToast(`Could not use that link: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Use a pasted link of any kind, starting a track or episode where the link says
+     * @param {Object} link - Parsed link from SpotifyAPI.parseSpotifyLink
+     */
+    async function chooseLink(link) {
+        if (UNSUPPORTED_LINK_MESSAGES[link.type]) {
+            throw new Error(UNSUPPORTED_LINK_MESSAGES[link.type]);
+        }
+        if (link.type !== 'track' && link.type !== 'episode') {
+            chooseContext(await fetchContext(link));
+            return;
+        }
+
+        const track = link.type === 'track'
+            ? await SpotifyAPI.getTrack(link.id)
+            : episodeToTrack(await SpotifyAPI.getEpisode(link.id));
+        chooseTrack(track);
+        if (link.startMs && scheduleMode.value !== 'pool') {
+            setPlaybackDurationValue(Math.floor(link.startMs / 1000), null);
+        }
+    }
+
+    /**
+     * Shape a podcast episode like a track, with the show in place of the artist
+     * @param {Object} episode - Episode from SpotifyAPI.getEpisode
+     */
+    function episodeToTrack(episode) {
+        return {
+            uri: episode.uri,
+            name: episode.name,
+            artists: [{ name: episode.show?.name || 'Podcast' }],
+            duration_ms: episode.duration_ms
+        };
+    }
+
     /**
      * Render search results
      */
-    function renderSearchResults(tracks) {
-        if (tracks.length === 0) {
+    function renderSearchResults(results) {
+        // Search results can contain null entries for unavailable items
+        const tracks = (results.tracks?.items || []).filter(Boolean);
+        const contexts = [
+            ...(results.playlists?.items || []),
+            ...(results.albums?.items || []),
+            ...(results.artists?.items || [])
+        ].filter(Boolean);
+
+        if (tracks.length === 0 && contexts.length === 0) {
             searchResults.classList.add('hidden');
             return;
         }
 
-        searchResults.innerHTML = tracks.map(track => `
-            <div class="search-result-item" data-uri="${track.uri}" data-name="${escapeHtml(track.name)}" data-artist="${escapeHtml(track.artists[0]?.name || 'Unknown')}" data-duration="${track.duration_ms || 0}">
+        const trackItems = tracks.map(track => `
+            <div class="search-result-item" data-type="track" data-uri="${track.uri}" data-name="${escapeHtml(track.name)}" data-artist="${escapeHtml(track.artists[0]?.name || 'Unknown')}" data-duration="${track.duration_ms || 0}">
                 <img src="${track.album.images[2]?.url || track.album.images[0]?.url || ''}" alt="">
                 <div class="track-info">
                     <div class="track-name">${escapeHtml(track.name)}</div>
                     <div class="track-artist">${escapeHtml(track.artists.map(a => a.name).join(', '))}</div>
                 </div>
             </div>
-        `).join('');
+        `);
+        const contextItems = contexts.map(context => `
+            <div class="search-result-item" data-type="${context.type}" data-uri="${context.uri}">
+                <img src="${context.images?.[context.images.length - 1]?.url || ''}" alt="">
+                <div class="track-info">
+                    <div class="result-type">${CONTEXT_TYPE_LABELS[context.type]}</div>
+                    <div class="track-name">${escapeHtml(context.name)}</div>
+                    <div class="track-artist">${escapeHtml(getContextSubtitle(context))}</div>
+                </div>
+            </div>
+        `);
+        searchResults.innerHTML = [...trackItems, ...contextItems].join('');
 
         // Add click handlers to results
         searchResults.querySelectorAll('.search-result-item').forEach(item => {
-            item.addEventListener('click', () => {
+            item.addEventListener('click', async () => {
+                if (item.dataset.type !== 'track') {
+                    try {
+                        chooseContext(await fetchContext(SpotifyAPI.parseSpotifyLink(item.dataset.uri)));
+                    } catch (error) {
+                        showToast(`Could not load ${item.dataset.type}: ${error.message}`, true);
+                    }
+                    return;
+                }
                 const track = {
                     uri: item.dataset.uri,
                     name: item.dataset.name,
                     artists: [{ name: item.dataset.artist }],
                     duration_ms: parseInt(item.dataset.duration)
                 };
-                selectTrack(track);
+                chooseTrack(track);
             });
         });
 
         searchResults.classList.remove('hidden');
     }
 
+    /**
+     * Get the secondary line shown for a playlist, album or artist
+     */
+    function getContextSubtitle(context) {
+        if (context.type === 'playlist') {
+            return context.owner?.display_name || 'Playlist';
+        }
+        if (context.type === 'album') {
+            return (context.artists || []).map(a => a.name).join(', ');
+        }
+        return 'Artist';
+    }
+
+    /**
+     * Load a playlist, album or artist with its tracks
+     * @param {Object} link - Parsed link from SpotifyAPI.parseSpotifyLink
+     */
+    async function fetchContext(link) {
+        let item;
+        let tracks = [];
+        let total = 0;
+
+        if (link.type === 'playlist') {
+            item = await SpotifyAPI.getPlaylist(link.id);
+            tracks = (item.tracks?.items || []).map(entry => entry.track).filter(track => track && track.uri);
+            total = item.tracks?.total || 0;
+        } else if (link.type === 'album') {
+            item = await SpotifyAPI.getAlbum(link.id);
+            tracks = item.tracks?.items || [];
+            total = item.tracks?.total || 0;
+        } else {
+            item = await SpotifyAPI.getArtist(link.id);
+        }
+
+        // The length is only known if the first page holds every track
+        const durationMs = tracks.length > 0 && tracks.length >= total
+            ? tracks.reduce((sum, track) => sum + (track.duration_ms || 0), 0)
+            : null;
+
+        return {
+            type: link.type,
+            uri: link.uri,
+            name: item.name,
+            subtitle: getContextSubtitle(item),
+            duration_ms: durationMs,
+            tracks: tracks.map(track => ({
+                uri: track.uri,
+                name: track.name,
+                artistName: track.artists?.[0]?.name || 'Unknown',
+                duration: track.duration_ms ? Math.floor(track.duration_ms / 1000) : null
+            }))
+        };
+    }
+
+    /**
+     * Use a track picked from search or a pasted link - selected, or added to the pool in pool mode
+     */
+    function chooseTrack(track) {
+        if (scheduleMode.value !== 'pool') {
+            selectTrack(track);
+            return;
+        }
+        if (!poolTracks.some(t => t.uri === track.uri)) {
+            poolTracks.push({
+                uri: track.uri,
+                name: track.name,
+                artistName: track.artists[0]?.name || 'Unknown',
+                duration: track.duration_ms ? Math.floor(track.duration_ms / 1000) : null
+            });
+        }
+        poolPlaylist = null;
+        scheduleTrack.value = '';
+        searchResults.classList.add('hidden');
+        renderPoolTracks();
+    }
+
+    /**
+     * Use a playlist, album or artist - selected, or as the pool's playlist in pool mode
+     */
+    function chooseContext(context) {
+        if (scheduleMode.value !== 'pool') {
+            selectContext(context);
+            return;
+        }
+        if (context.type !== 'playlist') {
+            showToast('A pool can only point at a playlist - add album tracks one by one', true);
+            return;
+        }
+        poolPlaylist = {
+            uri: context.uri,
+            name: context.name,
+            tracks: context.tracks
+        };
+        poolTracks = [];
+        scheduleTrack.value = '';
+        searchResults.classList.add('hidden');
+        renderPoolTracks();
+    }
+
+    /**
+     * Show the tracks (or playlist) of the pool being edited
+     */
+    function renderPoolTracks() {
+        if (poolPlaylist) {
+            poolTracksList.innerHTML = `
+                <span class="pool-track">
+                    Playlist: ${escapeHtml(poolPlaylist.name)} (${poolPlaylist.tracks.length} tracks)
+                    <button type="button" class="remove-btn" title="Remove">✕</button>
+                </span>
+            `;
+        } else if (poolTracks.length > 0) {
+            poolTracksList.innerHTML = poolTracks.map(track => `
+                <span class="pool-track" data-uri="${track.uri}">
+                    ${escapeHtml(track.name)} - ${escapeHtml(track.artistName)}
+                    <button type="button" class="remove-btn" title="Remove">✕</button>
+                </span>
+            `).join('');
+        } else {
+            poolTracksList.innerHTML = '<span class="text-muted">The pool is empty</span>';
+        }
+
+        poolTracksList.querySelectorAll('.pool-track').forEach(chip => {
+            chip.querySelector('.remove-btn').addEventListener('click', () => {
+                if (poolPlaylist) {
+                    poolPlaylist = null;
+                } else {
+                    poolTracks = poolTracks.filter(t => t.uri !== chip.dataset.uri);
+                }
+                renderPoolTracks();
+            });
+        });
+
+        // Durations differ per track, so the slider is an upper limit
+        const durations = (poolPlaylist ? [] : poolTracks).map(t => t.duration).filter(Boolean);
+        const maxSeconds = durations.length > 0 ? Math.max(...durations) : MAX_POOL_PLAYBACK_SECONDS;
+        if (parseInt(playbackDuration.max) !== maxSeconds) {
+            setPlaybackDurationMax(maxSeconds);
+        }
+    }
+
+    /**
+     * Show the controls that belong to the selected play mode
+     */
+    function updateModeControls() {
+        const isPool = scheduleMode.value === 'pool';
+        poolOptions.classList.toggle('hidden', !isPool);
+        updateRequiredFields();
+        // Only tracks take a start position (see selectContext)
+        playbackStartGroup.classList.toggle('hidden', !isPool && Boolean(selectedTrack) && selectedTrack.type !== 'track');
+        if (isPool) {
+            contextOptions.classList.add('hidden');
+            trackDurationInfo.classList.add('hidden');
+            renderPoolTracks();
+        }
+    }
+
     /**
      * Select a track from search results
      */
     function selectTrack(track) {
         selectedTrack = {
+            type: 'track',
             uri: track.uri,
             name: track.name,
             artist: track.artists[0]?.name || 'Unknown',
@@ -288,22 +764,99 @@ const App = (function() {
         };
         scheduleTrack.value = `${track.name} - ${selectedTrack.artist}`;
         searchResults.classList.add('hidden');
+        contextOptions.classList.add('hidden');
+        trackDurationLabel.textContent = 'Track duration';
+        playbackStartGroup.classList.remove('hidden');
         
         // Update track duration display
         if (track.duration_ms) {
             const durationSeconds = Math.floor(track.duration_ms / 1000);
             trackDurationDisplay.textContent = formatTime(durationSeconds);
             trackDurationInfo.classList.remove('hidden');
-            
-            // Update playback duration slider max
-            playbackDuration.max = durationSeconds;
-            playbackDurationNumber.max = durationSeconds;
-            
-            // Set to full track by default
-            playbackDuration.value = durationSeconds;
-            playbackDurationNumber.value = durationSeconds;
-            updatePlaybackDurationDisplay(durationSeconds);
+            setPlaybackDurationMax(durationSeconds);
+        }
+    }
+
+    /**
+     * Select a playlist, album or artist to play as a context
+     * @param {Object} context - Context from fetchContext
+     */
+    function selectContext(context) {
+        selectedTrack = {
+            type: context.type,
+            uri: context.uri,
+            name: context.name,
+            artist: context.subtitle,
+            duration_ms: context.duration_ms,
+            tracks: context.tracks
+        };
+        scheduleTrack.value = `${CONTEXT_TYPE_LABELS[context.type]}: ${context.name}`;
+        searchResults.classList.add('hidden');
+
+        // Artists can't start at a chosen track
+        scheduleStartTrack.innerHTML = '<option value="">First track</option>' + context.tracks.map(track =>
+            `<option value="${track.uri}">${escapeHtml(track.name)}</option>`
+        ).join('');
+        startTrackGroup.classList.toggle('hidden', context.type === 'artist');
+        contextOptions.classList.remove('hidden');
+
+        trackDurationLabel.textContent = `${CONTEXT_TYPE_LABELS[context.type]} duration`;
+        // The sliders span the whole context, so a start position would land past the end of its first track
+        playbackStartGroup.classList.add('hidden');
+        trackDurationDisplay.textContent = context.duration_ms ? formatTime(Math.floor(context.duration_ms / 1000)) : 'unknown';
+        trackDurationInfo.classList.remove('hidden');
+        setPlaybackDurationMax(context.duration_ms ? Math.floor(context.duration_ms / 1000) : MAX_CONTEXT_DURATION_SECONDS);
+    }
+
+    /**
+     * Set the start/stop slider range, defaulting to the full length
+     */
+    function setPlaybackDurationMax(durationSeconds) {
+        // Update playback start and stop slider max
+        playbackDuration.max = durationSeconds;
+        playbackDurationNumber.max = durationSeconds;
+        playbackStart.max = Math.max(0, durationSeconds - 1);
+        playbackStartNumber.max = Math.max(0, durationSeconds - 1);
+        
+        // Set to full track by default
+        setPlaybackRange(0, durationSeconds);
+    }
+
+    /**
+     * Get the start position from the start slider, in seconds
+     */
+    function getPlaybackStart() {
+        if (playbackStartGroup.classList.contains('hidden')) {
+            return 0;
+        }
+        return parseInt(playbackStart.value) || 0;
+    }
+
+    /**
+     * Move the start and stop controls, keeping start before stop
+     * @param {number} start - Start position in seconds
+     * @param {number} end - Stop position in seconds
+     * @param {string} changed - 'start' or 'end': which one the user moved (the other one gives way)
+     */
+    function setPlaybackRange(start, end, changed = 'start') {
+        const maxSeconds = parseInt(playbackDuration.max);
+        start = Math.min(Math.max(0, start), Math.max(0, maxSeconds - 1));
+        end = Math.min(Math.max(0, end), maxSeconds);
+
+        if (end <= start) {
+            if (changed === 'end') {
+                start = Math.max(0, end - 1);
+            } else {
+                end = Math.min(maxSeconds, start + 1);
+            }
         }
+
+        playbackStart.value = start;
+        playbackStartNumber.value = start;
+        playbackStartDisplay.textContent = formatTime(start);
+        playbackDuration.value = end;
+        playbackDurationNumber.value = end;
+        updatePlaybackDurationDisplay(end);
     }
 
     /**
@@ -312,7 +865,14 @@ const App = (function() {
     async function handleScheduleSubmit(e) {
         e.preventDefault();
 
-        if (!selectedTrack) {
+        const isPool = scheduleMode.value === 'pool';
+        const announcement = getAnnouncement();
+        const announcementOnly = announcement && announcement.position === 'instead';
+        if (!announcementOnly && isPool && !poolPlaylist && poolTracks.length === 0) {
+            showToast('Please add tracks or a playlist to the pool', true);
+            return;
+        }
+        if (!announcementOnly && !isPool && !selectedTrack) {
             showToast('Please select a track first', true);
             return;
         }
@@ -323,18 +883,65 @@ const App = (function() {
             return;
         }
 
-        const playbackDurationSeconds = parseInt(playbackDuration.value);
+        const recurrence = getRecurrenceFromForm();
+        if (recurrence.date && new Date(`${recurrence.date}T${time}`) <= new Date()) {
+            showToast('That date and time has already passed', true);
+            return;
+        }
 
-        const schedule = Scheduler.addSchedule({
+        // The stop slider is a position; the schedule stores how long to play from the start
+        const startPosition = getPlaybackStart();
+        const playbackDurationSeconds = parseInt(playbackDuration.value) - startPosition;
+        const settings = announcementOnly ? getAnnouncementOnlySettings(announcement)
+            : isPool ? getPoolSettings() : getTrackSettings();
+        Object.assign(settings, {
             time: time,
-            trackUri: selectedTrack.uri,
-            trackName: selectedTrack.name,
-            artistName: selectedTrack.artist,
             volume: parseInt(scheduleVolume.value),
             restorePlayback: scheduleRestore.checked,
-            playbackDuration: playbackDurationSeconds,
-            trackDuration: selectedTrack.duration_ms ? Math.floor(selectedTrack.duration_ms / 1000) : null
+            devices: scheduleDevices,
+            recurrence: recurrence,
+            missedPolicy: scheduleMissedPolicy.value,
+            graceMinutes: parseInt(scheduleGraceMinutes.value),
+            conflictPolicy: scheduleConflictPolicy.value,
+            startMode: scheduleStartMode.value,
+            readinessMinutes: parseInt(scheduleReadinessMinutes.value),
+            fallbackSound: getFallbackSound(),
+            announcement: announcement,
+            fadeInSeconds: parseInt(scheduleFadeIn.value) || 0,
+            fadeOutSeconds: parseInt(scheduleFadeOut.value) || 0,
+            startPosition: startPosition,
+            playbackDuration: playbackDurationSeconds
         });
+        if (announcementOnly) {
+            // Nothing plays, so the stop controls don't apply
+            Object.assign(settings, { startPosition: 0, playbackDuration: null, fadeInSeconds: 0, fadeOutSeconds: 0 });
+        }
+
+        if (scheduleFallback.value === 'file' && !fallbackFileSound) {
+            showToast('Please choose an audio file for the fallback sound', true);
+            return;
+        }
+
+        if (editingScheduleId) {
+            try {
+                const updated = Scheduler.updateSchedule(editingScheduleId, settings);
+                pruneFallbackFiles();
+                stopEditing();
+                showToast(`Updated: ${updated.trackName} at ${updated.time}${getOverlapWarning(updated)}`);
+            } catch (error) {
+                showToast(error.message, true);
+            }
+            return;
+        }
+
+        let schedule;
+        try {
+            schedule = Scheduler.addSchedule(settings);
+            pruneFallbackFiles();
+        } catch (error) {
+            showToast(error.message, true);
+            return;
+        }
 
         // Only reset the time field (keep volume, track, checkbox, and playback duration)
         scheduleTime.value = '';
@@ -345,7 +952,425 @@ const App = (function() {
         // Suggest next time based on pattern
         suggestNextTime(schedule.time);
 
-        showToast(`Scheduled: ${schedule.trackName} at ${schedule.time}`);
+        showToast(`Scheduled: ${schedule.trackName} at ${schedule.time}${getOverlapWarning(schedule)}`);
+    }
+
+    /**
+     * Get a warning to append to a toast when a schedule overlaps with others
+     */
+    function getOverlapWarning(schedule) {
+        const others = Scheduler.getOverlaps()[schedule.id];
+        if (!others) {
+            return '';
+        }
+        return ` (overlaps with ${others.map(s => `${s.trackName} at ${s.time}`).join(', ')})`;
+    }
+
+    /**
+     * Get the what-to-play settings for a single track or context
+     */
+    function getTrackSettings() {
+        const isContext = selectedTrack.type !== 'track';
+        const startTrackOption = scheduleStartTrack.selectedOptions[0];
+        return {
+            trackUri: isContext ? (scheduleStartTrack.value || null) : selectedTrack.uri,
+            contextUri: isContext ? selectedTrack.uri : null,
+            shuffle: isContext && scheduleShuffle.checked,
+            startTrackName: isContext && scheduleStartTrack.value ? startTrackOption.textContent : null,
+            trackName: selectedTrack.name,
+            artistName: selectedTrack.artist,
+            trackDuration: selectedTrack.duration_ms ? Math.floor(selectedTrack.duration_ms / 1000) : null,
+            pool: null
+        };
+    }
+
+    /**
+     * Get the what-to-play settings for a schedule that only speaks its announcement
+     */
+    function getAnnouncementOnlySettings(announcement) {
+        return {
+            trackUri: null,
+            contextUri: null,
+            shuffle: false,
+            startTrackName: null,
+            trackName: 'Announcement',
+            artistName: `"${announcement.text}"`,
+            trackDuration: null,
+            pool: null
+        };
+    }
+
+    /**
+     * Get the what-to-play settings for a track pool
+     */
+    function getPoolSettings() {
+        return {
+            trackUri: null,
+            contextUri: null,
+            shuffle: false,
+            startTrackName: null,
+            trackName: poolPlaylist ? poolPlaylist.name : `${poolTracks.length} track${poolTracks.length !== 1 ? 's' : ''}`,
+            artistName: 'Track pool',
+            trackDuration: null,
+            pool: {
+                tracks: poolPlaylist ? poolPlaylist.tracks : poolTracks,
+                playlistUri: poolPlaylist ? poolPlaylist.uri : null,
+                strategy: schedulePoolStrategy.value
+            }
+        };
+    }
+
+    /**
+     * Load a schedule into the form so it can be edited in place
+     */
+    function startEditing(schedule) {
+        editingScheduleId = schedule.id;
+
+        scheduleTime.value = schedule.time;
+        setRecurrenceInForm(schedule.recurrence);
+        scheduleMissedPolicy.value = schedule.missedPolicy || 'skip';
+        scheduleGraceMinutes.value = schedule.graceMinutes || 5;
+        updateMissedPolicyControls();
+        scheduleConflictPolicy.value = schedule.conflictPolicy || 'preempt';
+        scheduleStartMode.value = schedule.startMode || 'interrupt';
+        scheduleReadinessMinutes.value = schedule.readinessMinutes ?? 5;
+        setFallbackInForm(schedule.fallbackSound);
+        setAnnouncementInForm(schedule.announcement);
+        scheduleVolume.value = schedule.volume;
+        volumeDisplay.textContent = `${schedule.volume}%`;
+        scheduleFadeIn.value = schedule.fadeInSeconds || 0;
+        scheduleFadeOut.value = schedule.fadeOutSeconds || 0;
+        scheduleRestore.checked = schedule.restorePlayback;
+        scheduleDevices = (schedule.devices || []).map(d => ({ ...d }));
+        renderScheduleDevices();
+
+        scheduleMode.value = schedule.pool ? 'pool' : 'single';
+        if (schedule.pool) {
+            schedulePoolStrategy.value = schedule.pool.strategy;
+            poolPlaylist = schedule.pool.playlistUri
+                ? { uri: schedule.pool.playlistUri, name: schedule.trackName, tracks: schedule.pool.tracks }
+                : null;
+            poolTracks = schedule.pool.playlistUri ? [] : schedule.pool.tracks.map(t => ({ ...t }));
+        } else if (schedule.contextUri) {
+            // Show the stored context right away, then load its tracks for the start-at list
+            const link = SpotifyAPI.parseSpotifyLink(schedule.contextUri);
+            const context = {
+                type: link.type,
+                uri: schedule.contextUri,
+                name: schedule.trackName,
+                subtitle: schedule.artistName,
+                duration_ms: schedule.trackDuration ? schedule.trackDuration * 1000 : null,
+                tracks: schedule.trackUri ? [{ uri: schedule.trackUri, name: schedule.startTrackName || schedule.trackUri }] : []
+            };
+            selectContext(context);
+            scheduleStartTrack.value = schedule.trackUri || '';
+            fetchContext(link).then(loaded => {
+                if (editingScheduleId === schedule.id && selectedTrack?.uri === schedule.contextUri) {
+                    selectContext({ ...loaded, duration_ms: context.duration_ms || loaded.duration_ms });
+                    scheduleStartTrack.value = schedule.trackUri || '';
+                    setPlaybackDurationValue(schedule.startPosition, schedule.playbackDuration);
+                }
+            }).catch(error => console.error('Error loading context:', error));
+        } else if (schedule.trackUri) {
+            selectTrack({
+                uri: schedule.trackUri,
+                name: schedule.trackName,
+                artists: [{ name: schedule.artistName }],
+                duration_ms: schedule.trackDuration ? schedule.trackDuration * 1000 : null
+            });
+        }
+        scheduleShuffle.checked = Boolean(schedule.shuffle);
+        updateModeControls();
+        setPlaybackDurationValue(schedule.startPosition, schedule.playbackDuration);
+
+        scheduleSubmit.textContent = 'Save Changes';
+        scheduleCancelEdit.classList.remove('hidden');
+        renderSchedules();
+        scheduleForm.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Move the start/stop controls to a stored start position and duration
+     */
+    function setPlaybackDurationValue(startPosition, seconds) {
+        const start = startPosition || 0;
+        const end = seconds ? start + seconds : parseInt(playbackDuration.max);
+        setPlaybackRange(start, end);
+    }
+
+    /**
+     * Leave edit mode and return the form to adding schedules
+     */
+    function stopEditing() {
+        editingScheduleId = null;
+        scheduleTime.value = '';
+        scheduleSubmit.textContent = 'Add Schedule';
+        scheduleCancelEdit.classList.add('hidden');
+        renderSchedules();
+    }
+
+    /**
+     * Set the repeat controls from a recurrence rule
+     */
+    function setRecurrenceInForm(recurrence) {
+        const days = recurrence.days || [];
+        const sameDays = (expected) => days.length === expected.length && expected.every(d => days.includes(d));
+
+        if (recurrence.frequency === 'once') {
+            scheduleRecurrence.value = 'once';
+            scheduleDate.value = recurrence.date || '';
+        } else if (recurrence.frequency !== 'weekly') {
+            scheduleRecurrence.value = 'daily';
+        } else if (recurrence.interval === 1 && sameDays([1, 2, 3, 4, 5])) {
+            scheduleRecurrence.value = 'weekdays';
+        } else if (recurrence.interval === 1 && sameDays([0, 6])) {
+            scheduleRecurrence.value = 'weekends';
+        } else {
+            scheduleRecurrence.value = 'custom';
+            scheduleDays.querySelectorAll('input').forEach(input => {
+                input.checked = days.includes(parseInt(input.value));
+            });
+            scheduleWeekInterval.value = recurrence.interval;
+        }
+        updateRecurrenceControls();
+    }
+
+    /**
+     * Show the controls that belong to the selected repeat preset
+     */
+    function updateRecurrenceControls() {
+        recurrenceCustom.classList.toggle('hidden', scheduleRecurrence.value !== 'custom');
+        recurrenceOnce.classList.toggle('hidden', scheduleRecurrence.value !== 'once');
+    }
+
+    /**
+     * Show the grace period only for the grace policy
+     */
+    function updateMissedPolicyControls() {
+        gracePeriod.classList.toggle('hidden', scheduleMissedPolicy.value !== 'grace');
+    }
+
+    /**
+     * Show the file picker only when the fallback sound is a file
+     */
+    function updateFallbackControls() {
+        fallbackFileGroup.classList.toggle('hidden', scheduleFallback.value !== 'file');
+        previewFallbackBtn.classList.toggle('hidden', !scheduleFallback.value);
+        fallbackFileName.textContent = fallbackFileSound ? fallbackFileSound.name : '';
+    }
+
+    /**
+     * Set the fallback controls from a schedule's fallback sound
+     */
+    function setFallbackInForm(sound) {
+        if (sound && sound.type === 'file') {
+            fallbackFileSound = sound;
+            scheduleFallback.value = 'file';
+        } else {
+            scheduleFallback.value = sound ? `tone:${sound.pattern}` : '';
+        }
+        scheduleFallbackFile.value = '';
+        updateFallbackControls();
+    }
+
+    /**
+     * Build the fallback sound from the form
+     * @returns {Object|null} Fallback sound, or null for none
+     */
+    function getFallbackSound() {
+        if (scheduleFallback.value === 'file') {
+            return fallbackFileSound;
+        }
+        if (scheduleFallback.value.startsWith('tone:')) {
+            return { type: 'tone', pattern: scheduleFallback.value.slice('tone:'.length) };
+        }
+        return null;
+    }
+
+    /**
+     * Store the audio file picked as a fallback sound
+     */
+    async function handleFallbackFile() {
+        const file = scheduleFallbackFile.files[0];
+        if (!file) {
+            return;
+        }
+        try {
+            fallbackFileSound = await FallbackAudio.saveFile(file);
+        } catch (error) {
+            showToast(`Could not store ${file.name}: ${error.message}`, true);
+            scheduleFallbackFile.value = '';
+        }
+        updateFallbackControls();
+    }
+
+    /**
+     * Play the fallback sound chosen in the form for a few seconds
+     */
+    async function previewFallbackSound() {
+        const sound = getFallbackSound();
+        if (!sound) {
+            showToast('Please choose an audio file first', true);
+            return;
+        }
+        try {
+            await FallbackAudio.play(sound, { volume: parseInt(scheduleVolume.value), durationMs: 5000 });
+        } catch (error) {
+            showToast(`Could not play the sound: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Show the announcement options only when there is an announcement
+     */
+    function updateAnnouncementControls() {
+        const instead = announcementPosition.value === 'instead';
+        // Keep "instead" in sight while its text is empty, so the form doesn't ask for a track without saying why
+        announcementOptions.classList.toggle('hidden', !scheduleAnnouncement.value.trim() && !instead);
+        updateRequiredFields();
+    }
+
+    /**
+     * Mark what the form needs: music, unless the announcement replaces it - then the announcement's text
+     */
+    function updateRequiredFields() {
+        const instead = announcementPosition.value === 'instead';
+        scheduleTrack.required = scheduleMode.value !== 'pool' && !instead;
+        scheduleAnnouncement.required = instead;
+    }
+
+    /**
+     * Fill the voice picker with the browser's voices, keeping the chosen one
+     */
+    function renderVoices() {
+        const chosen = announcementVoice.value;
+        announcementVoice.innerHTML = '<option value="">Default voice</option>' + Announcer.getVoices()
+            .map(v => `<option value="${escapeHtml(v.uri)}">${escapeHtml(v.name)} (${escapeHtml(v.lang)})</option>`)
+            .join('');
+        announcementVoice.value = chosen;
+    }
+
+    /**
+     * Build the announcement from the form
+     * @returns {Object|null} Announcement, or null if there is no text
+     */
+    function getAnnouncement() {
+        const text = scheduleAnnouncement.value.trim();
+        if (!text) {
+            return null;
+        }
+        return {
+            text: text,
+            position: announcementPosition.value,
+            voice: announcementVoice.value || null,
+            lang: announcementLang.value.trim() || null,
+            rate: parseFloat(announcementRate.value) || 1,
+            duck: announcementDuck.checked
+        };
+    }
+
+    /**
+     * Set the announcement controls from a schedule's announcement
+     */
+    function setAnnouncementInForm(announcement) {
+        scheduleAnnouncement.value = announcement ? announcement.text : '';
+        announcementPosition.value = announcement ? announcement.position : 'before';
+        announcementVoice.value = announcement?.voice || '';
+        announcementLang.value = announcement?.lang || '';
+        announcementRate.value = announcement ? announcement.rate : 1;
+        announcementDuck.checked = Boolean(announcement?.duck);
+        updateAnnouncementControls();
+    }
+
+    /**
+     * Speak the announcement in the form with its voice settings
+     */
+    async function previewAnnouncement() {
+        const announcement = getAnnouncement();
+        try {
+            await Announcer.speak(announcement.text, announcement);
+        } catch (error) {
+            showToast(error.message, true);
+        }
+    }
+
+    /**
+     * Delete stored fallback files that no schedule uses any more
+     */
+    function pruneFallbackFiles() {
+        const used = Scheduler.getSchedules()
+            .map(s => s.fallbackSound)
+            .filter(sound => sound && sound.type === 'file')
+            .map(sound => sound.fileId);
+        if (fallbackFileSound) {
+            // Keep the file picked in the form, it may be used for the next schedule
+            used.push(fallbackFileSound.fileId);
+        }
+        FallbackAudio.pruneFiles(used).catch(error => console.error('Error pruning fallback files:', error));
+    }
+
+    /**
+     * Build a recurrence rule from the repeat controls
+     */
+    function getRecurrenceFromForm() {
+        switch (scheduleRecurrence.value) {
+            case 'once':
+                return { frequency: 'once', date: scheduleDate.value || undefined };
+            case 'weekdays':
+                return { frequency: 'weekly', days: [1, 2, 3, 4, 5] };
+            case 'weekends':
+                return { frequency: 'weekly', days: [0, 6] };
+            case 'custom':
+                return {
+                    frequency: 'weekly',
+                    days: Array.from(scheduleDays.querySelectorAll('input:checked')).map(input => parseInt(input.value)),
+                    interval: parseInt(scheduleWeekInterval.value) || 1
+                };
+            default:
+                return { frequency: 'daily' };
+        }
+    }
+
+    /**
+     * Load the user's devices into the device picker
+     */
+    async function loadDevices() {
+        try {
+            availableDevices = await SpotifyAPI.getDevices();
+        } catch (error) {
+            showToast(`Could not load devices: ${error.message}`, true);
+            return;
+        }
+        renderScheduleDevices();
+    }
+
+    /**
+     * Render the chosen devices and offer the others in the picker
+     */
+    function renderScheduleDevices() {
+        const chosenIds = scheduleDevices.map(d => d.id);
+        scheduleDevice.innerHTML = '<option value="">Add a device...</option>' + availableDevices
+            .filter(d => !chosenIds.includes(d.id))
+            .map(d => `<option value="${escapeHtml(d.id)}">${escapeHtml(d.name)} (${escapeHtml(d.type)})</option>`)
+            .join('');
+
+        if (scheduleDevices.length === 0) {
+            scheduleDevicesList.innerHTML = '<span class="text-muted">Whichever device is active</span>';
+            return;
+        }
+        scheduleDevicesList.innerHTML = scheduleDevices.map((device, index) => `
+            <span class="pool-track" data-id="${escapeHtml(device.id)}">
+                ${index + 1}. ${escapeHtml(device.name)}${availableDevices.some(d => d.id === device.id) ? '' : ' (offline)'}
+                <button type="button" class="remove-btn" title="Remove">✕</button>
+            </span>
+        `).join('');
+
+        scheduleDevicesList.querySelectorAll('.pool-track').forEach(chip => {
+            chip.querySelector('.remove-btn').addEventListener('click', () => {
+                scheduleDevices = scheduleDevices.filter(d => d.id !== chip.dataset.id);
+                renderScheduleDevices();
+            });
+        });
     }
 
     /**
@@ -354,6 +1379,9 @@ const App = (function() {
     function renderSchedules() {
         const schedules = Scheduler.getSchedules();
         const activeStatus = Scheduler.getActiveScheduleStatus();
+        const overlaps = Scheduler.getOverlaps();
+        renderReadinessWarning(schedules);
+        renderSoundWarning(schedules);
 
         if (schedules.length === 0) {
             schedulesList.innerHTML = '<p class="text-muted">No scheduled items</p>';
@@ -364,37 +1392,86 @@ const App = (function() {
         schedules.sort((a, b) => a.time.localeCompare(b.time));
 
         schedulesList.innerHTML = schedules.map(schedule => {
-            const countdownText = getCountdownText(schedule.time);
+            const countdownText = getCountdownText(schedule);
+            const startPosition = schedule.startPosition || 0;
             const playbackInfo = schedule.playbackDuration && schedule.trackDuration ? 
                 ` · Play: ${formatTime(schedule.playbackDuration)}/${formatTime(schedule.trackDuration)}` : '';
+            const startInfo = startPosition > 0 ?
+                ` (${formatTime(startPosition)}–${formatTime(startPosition + (schedule.playbackDuration || 0))})` : '';
             
+            const contextType = schedule.contextUri ? SpotifyAPI.parseSpotifyLink(schedule.contextUri)?.type : null;
+            const contextLabel = contextType ? `<span class="context-badge">${CONTEXT_TYPE_LABELS[contextType]}</span>` : '';
+            const contextInfo = (schedule.startTrackName ? ` · From: ${escapeHtml(schedule.startTrackName)}` : '') +
+                (schedule.shuffle ? ' · Shuffle' : '');
+            const fadeInfo = schedule.fadeInSeconds || schedule.fadeOutSeconds ?
+                ` · Fade ${schedule.fadeInSeconds || 0}s/${schedule.fadeOutSeconds || 0}s` : '';
+            const deviceInfo = schedule.devices && schedule.devices.length > 0 ?
+                ` · On: ${schedule.devices.map(d => escapeHtml(d.name)).join(' → ')}` : '';
+            const startModeInfo = schedule.startMode === 'after-current' ? ' · After the current track' : '';
+            const announcementInfo = schedule.announcement
+                ? ` · Says "${escapeHtml(schedule.announcement.text)}" ${ANNOUNCEMENT_POSITION_LABELS[schedule.announcement.position]}` : '';
+            const fallbackInfo = schedule.fallbackSound ? ` · Fallback: ${escapeHtml(schedule.fallbackSound.type === 'file'
+                ? schedule.fallbackSound.name
+                : FallbackAudio.getTonePatterns()[schedule.fallbackSound.pattern] || 'Tone')}` : '';
+
+            const upNext = Scheduler.getUpNextTrack(schedule);
+            const upNextHTML = schedule.pool ? `
+                        <div class="up-next">
+                            ${POOL_STRATEGY_LABELS[schedule.pool.strategy]} · Up next: <strong>${upNext ? `${escapeHtml(upNext.name)} - ${escapeHtml(upNext.artistName)}` : '?'}</strong>
+                        </div>
+                    ` : '';
+
+            const missedText = Scheduler.describeMissed(schedule);
+            const missedHTML = missedText ? `
+                        <div class="missed-notice ${schedule.missed.firedLate ? 'late' : ''}">
+                            <span>⚠ ${escapeHtml(missedText)}</span>
+                            <button class="dismiss-btn" title="Dismiss">✕</button>
+                        </div>
+                    ` : '';
+
+            const overlapping = overlaps[schedule.id];
+            const overlapHTML = overlapping ? `
+                        <div class="overlap-notice">
+                            ⚠ Overlaps with ${overlapping.map(s => `${escapeHtml(s.trackName)} at ${s.time}`).join(', ')} · This one ${CONFLICT_POLICY_LABELS[schedule.conflictPolicy || 'preempt']}
+                        </div>
+                    ` : '';
+
+            const readinessHTML = isNotReady(schedule) ? `
+                        <div class="readiness-notice">
+                            ⚠ May not play: ${schedule.readiness.problems.map(escapeHtml).join(' ')}
+                        </div>
+                    ` : '';
+
             const isActive = activeStatus && activeStatus.schedule.id === schedule.id;
             const activeClass = isActive ? 'active-schedule' : '';
+            const editingClass = schedule.id === editingScheduleId ? 'editing' : '';
             
             let activeStatusHTML = '';
             if (isActive) {
-                const elapsedText = formatTime(activeStatus.elapsed);
-                const remainingText = activeStatus.remaining !== null ? formatTime(activeStatus.remaining) : '?';
-                const restoreText = activeStatus.willRestore ? ' → will restore' : '';
                 activeStatusHTML = `
                     <div class="active-status" data-schedule-id="${schedule.id}">
                         <span class="active-badge">🔊 PLAYING</span>
-                        <span class="active-time">Elapsed: <strong>${elapsedText}</strong> | Remaining: <strong>${remainingText}</strong>${restoreText}</span>
+                        <span class="active-time">${getActiveTimeHTML(activeStatus)}</span>
                     </div>
                 `;
             }
             
             return `
-                <div class="schedule-item ${schedule.enabled ? '' : 'disabled'} ${activeClass}" data-id="${schedule.id}">
+                <div class="schedule-item ${schedule.enabled ? '' : 'disabled'} ${activeClass} ${editingClass}" data-id="${schedule.id}">
                     <span class="time">${schedule.time}</span>
                     <div class="track-info">
-                        <div class="track-name">${escapeHtml(schedule.trackName)}</div>
+                        <div class="track-name">${contextLabel}${escapeHtml(schedule.trackName)}</div>
                         <div class="track-details">
-                            ${escapeHtml(schedule.artistName)} · Volume: ${schedule.volume}%${playbackInfo}
+                            ${escapeHtml(schedule.artistName)}${contextInfo} · Volume: ${schedule.volume}%${fadeInfo}${playbackInfo}${startInfo}${deviceInfo}${startModeInfo}${announcementInfo}${fallbackInfo}
+                            <span class="recurrence-badge">${escapeHtml(Scheduler.describeRecurrence(schedule.recurrence))}</span>
                             ${schedule.restorePlayback ? '<span class="restore-badge">↩ Restore</span>' : ''}
                         </div>
+                        ${upNextHTML}
+                        ${missedHTML}
+                        ${overlapHTML}
+                        ${readinessHTML}
                         ${activeStatusHTML}
-                        <div class="countdown" data-time="${schedule.time}">${countdownText}</div>
+                        <div class="countdown ${countdownText === 'Past' ? 'past' : ''}" data-schedule-id="${schedule.id}">${countdownText}</div>
                     </div>
                     <div class="schedule-actions">
                         <button class="btn btn-secondary btn-small toggle-btn" title="${schedule.enabled ? 'Disable' : 'Enable'}">
@@ -403,6 +1480,9 @@ const App = (function() {
                         <button class="btn btn-secondary btn-small test-btn" title="Test now">
                             🔊
                         </button>
+                        <button class="btn btn-secondary btn-small edit-btn" title="Edit">
+                            ✎
+                        </button>
                         <button class="btn btn-danger btn-small delete-btn" title="Delete">
                             ✕
                         </button>
@@ -421,49 +1501,276 @@ const App = (function() {
             });
 
             item.querySelector('.test-btn').addEventListener('click', async () => {
-                await Scheduler.triggerNow(id);
+                try {
+                    await Scheduler.triggerNow(id);
+                } catch (error) {
+                    showToast(error.message, true);
+                }
+            });
+
+            item.querySelector('.edit-btn').addEventListener('click', () => {
+                const schedule = Scheduler.getSchedules().find(s => s.id === id);
+                if (schedule) {
+                    startEditing(schedule);
+                }
             });
 
             item.querySelector('.delete-btn').addEventListener('click', () => {
                 Scheduler.removeSchedule(id);
+                pruneFallbackFiles();
+                if (id === editingScheduleId) {
+                    stopEditing();
+                }
                 renderSchedules();
                 showToast('Schedule removed');
             });
+
+            item.querySelector('.missed-notice .dismiss-btn')?.addEventListener('click', () => {
+                Scheduler.dismissMissed(id);
+                renderSchedules();
+            });
         });
         
         // Start countdown updates and active schedule updates
         startCountdownUpdates();
+
+        updateWakeLock();
+    }
+
+    /**
+     * Whether any schedule is waiting to play in this session
+     */
+    function hasArmedSchedules() {
+        return SpotifyAuth.isLoggedIn() &&
+            Scheduler.getSchedules().some(s => s.enabled && Scheduler.getNextFireTime(s));
+    }
+
+    /**
+     * Hold a screen wake lock while schedules are armed, so the computer doesn't go to sleep.
+     * The browser releases the lock when the page is hidden; it's requested again when it's shown.
+     */
+    async function updateWakeLock() {
+        if (!('wakeLock' in navigator) || wakeLockRequest) {
+            return;
+        }
+
+        const wanted = hasArmedSchedules() && document.visibilityState === 'visible';
+        if (wanted && !wakeLock) {
+            wakeLockRequest = navigator.wakeLock.request('screen');
+            try {
+                wakeLock = await wakeLockRequest;
+                wakeLock.addEventListener('release', () => {
+                    wakeLock = null;
+                });
+            } catch (error) {
+                console.warn('Screen wake lock unavailable:', error.message);
+            } finally {
+                wakeLockRequest = null;
+            }
+        } else if (!wanted && wakeLock) {
+            const lock = wakeLock;
+            wakeLock = null;
+            await lock.release();
+        }
     }
 
     /**
-     * Start monitoring current playback
+     * Flag a hidden tab in its title while schedules are armed, and check for late triggers when it's shown again
+     */
+    function handleVisibilityChange() {
+        if (document.hidden && hasArmedSchedules()) {
+            pageTitle = document.title;
+            document.title = `⚠ Keep this tab open - ${pageTitle}`;
+        } else if (!document.hidden) {
+            document.title = pageTitle;
+            updateTimingWarning();
+        }
+        // Nobody sees the display in the background
+        if (document.hidden) {
+            stopPlaybackMonitoring();
+        } else if (SpotifyAuth.isLoggedIn()) {
+            startPlaybackMonitoring();
+        }
+        updateWakeLock();
+    }
+
+    /**
+     * Show a warning when schedule checks were held up, e.g. by a frozen background tab or sleep
+     */
+    function updateTimingWarning() {
+        const delay = Scheduler.getTimingStatus().lastDelay;
+        if (!delay || delay.at === dismissedDelayAt || String(delay.at) === timingWarning.dataset.delayAt ||
+            !hasArmedSchedules()) {
+            return;
+        }
+        const seconds = Math.round(delay.delayMs / 1000);
+        const heldUp = seconds < 120 ? `${seconds} seconds` : `${Math.round(seconds / 60)} minutes`;
+        const at = new Date(delay.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        timingWarningText.textContent = `Schedules weren't checked for ${heldUp} (until ${at}) - the tab was in the background ` +
+            'or the computer slept, so schedules can play late. Keep this tab visible, or run the daemon.';
+        timingWarning.dataset.delayAt = delay.at;
+        timingWarning.classList.remove('hidden');
+    }
+
+    /**
+     * Whether the last readiness check for a schedule's upcoming firing failed
+     * @param {Object} schedule - Schedule object
+     * @returns {boolean}
+     */
+    function isNotReady(schedule) {
+        return Boolean(schedule.enabled && schedule.readiness && !schedule.readiness.ok &&
+            schedule.readiness.fireAt === schedule.nextFireAt);
+    }
+
+    /**
+     * Show the banner listing upcoming schedules that failed their readiness check
+     * @param {Object[]} schedules - All schedules
+     */
+    function renderReadinessWarning(schedules) {
+        const notReady = schedules.filter(isNotReady);
+        if (notReady.length === 0) {
+            readinessWarning.classList.add('hidden');
+            return;
+        }
+        readinessWarning.innerHTML = notReady.map(schedule => `
+            <div>
+                <strong>${escapeHtml(schedule.trackName)} at ${schedule.time} may not play.</strong>
+                ${schedule.readiness.problems.map(escapeHtml).join(' ')}
+            </div>
+        `).join('');
+        readinessWarning.classList.remove('hidden');
+    }
+
+    /**
+     * Warn that fallback sounds would stay silent, e.g. after an unattended reload
+     * @param {Object[]} schedules - All schedules
+     */
+    function renderSoundWarning(schedules) {
+        const needsSound = schedules.some(s => s.enabled && s.nextFireAt && s.fallbackSound);
+        soundWarning.classList.toggle('hidden', !needsSound || FallbackAudio.isUnlocked());
+    }
+
+    /**
+     * Download schedules and skip dates as the JSON file the daemon reads
+     */
+    function exportSchedules() {
+        const data = { schedules: Scheduler.getSchedules(), skipDates: Scheduler.getSkipDates() };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'schedules.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Handle skip date form submission
+     */
+    function handleSkipDateSubmit(e) {
+        e.preventDefault();
+
+        try {
+            const skipDate = Scheduler.addSkipDate({
+                start: skipDateStart.value,
+                end: skipDateEnd.value || undefined,
+                label: skipDateLabel.value.trim()
+            });
+            skipDateForm.reset();
+            renderSkipDates();
+            renderSchedules();
+            showToast(`Skipping ${describeSkipRange(skipDate)}`);
+        } catch (error) {
+            showToast(error.message, true);
+        }
+    }
+
+    /**
+     * Render the list of skip dates
+     */
+    function renderSkipDates() {
+        const skipDates = Scheduler.getSkipDates();
+        const todayKey = Scheduler.toDateKey(new Date());
+
+        if (skipDates.length === 0) {
+            skipDatesList.innerHTML = '<p class="text-muted">No skip dates</p>';
+            return;
+        }
+
+        skipDatesList.innerHTML = skipDates.map(skipDate => `
+            <div class="skip-date-item ${skipDate.end < todayKey ? 'past' : ''}" data-id="${skipDate.id}">
+                <div>
+                    <div class="skip-date-range">${escapeHtml(describeSkipRange(skipDate))}</div>
+                    ${skipDate.label ? `<div class="skip-date-label">${escapeHtml(skipDate.label)}</div>` : ''}
+                </div>
+                <button class="btn btn-danger btn-small delete-btn" title="Delete">
+                    ✕
+                </button>
+            </div>
+        `).join('');
+
+        skipDatesList.querySelectorAll('.skip-date-item').forEach(item => {
+            item.querySelector('.delete-btn').addEventListener('click', () => {
+                Scheduler.removeSkipDate(item.dataset.id);
+                renderSkipDates();
+                renderSchedules();
+                showToast('Skip date removed');
+            });
+        });
+    }
+
+    /**
+     * Describe a skip date range, e.g. "Mon, 21 Dec 2026 – Fri, 1 Jan 2027"
+     */
+    function describeSkipRange(skipDate) {
+        if (skipDate.start === skipDate.end) {
+            return Scheduler.formatDateKey(skipDate.start);
+        }
+        return `${Scheduler.formatDateKey(skipDate.start)} – ${Scheduler.formatDateKey(skipDate.end)}`;
+    }
+
+    /**
+     * Start monitoring current playback. The display shares the playback state the
+     * scheduler reads, which comes in every second while a schedule is playing.
      */
     function startPlaybackMonitoring() {
-        updatePlaybackDisplay();
-        playbackInterval = setInterval(updatePlaybackDisplay, 5000);
+        if (!unsubscribePlayback) {
+            unsubscribePlayback = PlaybackStore.subscribe(updatePlaybackDisplay, { intervalMs: PLAYBACK_DISPLAY_INTERVAL_MS });
+        }
+    }
+
+    /**
+     * Stop updating the current playback display
+     */
+    function stopPlaybackMonitoring() {
+        if (unsubscribePlayback) {
+            unsubscribePlayback();
+            unsubscribePlayback = null;
+        }
     }
 
     /**
      * Update current playback display
+     * @param {Object} state - Playback state from the store
      */
-    async function updatePlaybackDisplay() {
+    function updatePlaybackDisplay(state) {
         try {
-            const state = await SpotifyAPI.getPlaybackState();
-
             if (!state || !state.item) {
                 currentPlayback.innerHTML = '<p class="text-muted">No active playback</p>';
                 return;
             }
 
             const track = state.item;
-            const albumArt = track.album.images[1]?.url || track.album.images[0]?.url || '';
+            // Podcast episodes have their own images and a show instead of an album and artists
+            const images = track.album?.images || track.images || [];
+            const albumArt = images[1]?.url || images[0]?.url || '';
+            const artists = track.artists ? track.artists.map(a => a.name).join(', ') : track.show?.name || '';
 
             currentPlayback.innerHTML = `
                 <img src="${albumArt}" alt="Album art">
                 <div class="now-playing">
                     <div class="now-playing-label">${state.is_playing ? '♫ Now Playing' : '⏸ Paused'}</div>
                     <div class="now-playing-track">${escapeHtml(track.name)}</div>
-                    <div class="now-playing-artist">${escapeHtml(track.artists.map(a => a.name).join(', '))}</div>
+                    <div class="now-playing-artist">${escapeHtml(artists)}</div>
                 </div>
             `;
         } catch (error) {
@@ -559,21 +1866,19 @@ const App = (function() {
     }
 
     /**
-     * Get countdown text for a schedule time
+     * Get countdown text for the next occurrence of a schedule
      */
-    function getCountdownText(scheduleTime) {
+    function getCountdownText(schedule) {
         const now = new Date();
-        const [hours, minutes] = scheduleTime.split(':').map(Number);
-        
-        const scheduleDate = new Date();
-        scheduleDate.setHours(hours, minutes, 0, 0);
-        
-        // If the time is in the past today, it's for tomorrow
-        if (scheduleDate <= now) {
-            scheduleDate.setDate(scheduleDate.getDate() + 1);
+        const nextOccurrence = Scheduler.getNextFireTime(schedule);
+        if (!nextOccurrence) {
+            return 'Past';
+        }
+        if (nextOccurrence <= now) {
+            return 'now';
         }
         
-        const diffMs = scheduleDate - now;
+        const diffMs = nextOccurrence - now;
         const diffSeconds = Math.floor(diffMs / 1000);
         const diffMinutes = Math.floor(diffSeconds / 60);
         const diffHours = Math.floor(diffMinutes / 60);
@@ -588,7 +1893,8 @@ const App = (function() {
             return `in ${diffHours}:${String(mins).padStart(2, '0')} hours`;
         } else {
             const days = Math.floor(diffHours / 24);
-            return `in ${days} day${days !== 1 ? 's' : ''}`;
+            const dateText = nextOccurrence.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+            return `in ${days} day${days !== 1 ? 's' : ''} (${dateText})`;
         }
     }
 
@@ -601,11 +1907,14 @@ const App = (function() {
         }
         
         countdownInterval = setInterval(() => {
+            updateTimingWarning();
+
             // Update countdowns
+            const schedulesById = new Map(Scheduler.getSchedules().map(s => [s.id, s]));
             document.querySelectorAll('.countdown').forEach(element => {
-                const scheduleTime = element.dataset.time;
-                if (scheduleTime) {
-                    const countdownText = getCountdownText(scheduleTime);
+                const schedule = schedulesById.get(element.dataset.scheduleId);
+                if (schedule) {
+                    const countdownText = getCountdownText(schedule);
                     element.textContent = countdownText;
                     
                     // Update class based on countdown
@@ -622,11 +1931,7 @@ const App = (function() {
             document.querySelectorAll('.active-status').forEach(element => {
                 const scheduleId = element.dataset.scheduleId;
                 if (activeStatus && activeStatus.schedule.id === scheduleId) {
-                    const elapsedText = formatTime(activeStatus.elapsed);
-                    const remainingText = activeStatus.remaining !== null ? formatTime(activeStatus.remaining) : '?';
-                    const restoreText = activeStatus.willRestore ? ' → will restore' : '';
-                    element.querySelector('.active-time').innerHTML = 
-                        `Elapsed: <strong>${elapsedText}</strong> | Remaining: <strong>${remainingText}</strong>${restoreText}`;
+                    element.querySelector('.active-time').innerHTML = getActiveTimeHTML(activeStatus);
                 } else {
                     // Active schedule ended, re-render to remove active status
                     renderSchedules();
@@ -635,18 +1940,31 @@ const App = (function() {
         }, 1000);
     }
 
+    /**
+     * Get the elapsed/remaining line for the active schedule
+     */
+    function getActiveTimeHTML(activeStatus) {
+        const elapsedText = formatTime(activeStatus.elapsed);
+        const positionText = activeStatus.position !== activeStatus.elapsed ? ` (at ${formatTime(activeStatus.position)})` : '';
+        const remainingText = activeStatus.remaining !== null ? formatTime(activeStatus.remaining) : '?';
+        const restoreText = activeStatus.willRestore ? ' → will restore' : '';
+        const queuedText = activeStatus.queued.length > 0 ? ` | Next: ${escapeHtml(activeStatus.queued[0].trackName)}` : '';
+        return `Elapsed: <strong>${elapsedText}</strong>${positionText} | Remaining: <strong>${remainingText}</strong>${restoreText}${queuedText}`;
+    }
+
     /**
      * Update playback duration display
      */
     function updatePlaybackDurationDisplay(seconds) {
         const formatted = formatTime(seconds);
         const maxSeconds = parseInt(playbackDuration.max);
-        const isFullTrack = seconds >= maxSeconds;
+        const start = getPlaybackStart();
+        const isFullTrack = seconds >= maxSeconds && start === 0;
         playbackDurationDisplay.textContent = formatted;
         
         const hintElement = playbackDurationDisplay.nextElementSibling;
         if (hintElement && hintElement.classList.contains('duration-hint')) {
-            hintElement.textContent = isFullTrack ? '(full track)' : '(partial)';
+            hintElement.textContent = isFullTrack ? '(full track)' : `(plays ${formatTime(Math.max(0, seconds - start))})`;
         }
     }
 
@@ -656,5 +1974,7 @@ const App = (function() {
     // Public API
     return {
         showToast,
+        renderSchedules,
+        renderSkipDates,
     };
 })();
@@ -0,0 +1,289 @@
+/**
+ * Fallback Audio Module
+ * Plays a schedule's fallback sound in the page when Spotify can't play it:
+ * a generated tone pattern, or an uploaded audio file kept in IndexedDB
+ */
+
+const FallbackAudio = (function() {
+    const DB_NAME = 'spotify_scheduler_audio';
+    const STORE_NAME = 'files';
+    const DEFAULT_DURATION_MS = 30 * 1000; // How long a tone plays for schedules without a duration
+    const RESUME_TIMEOUT_MS = 1000; // How long to wait for the browser to let page audio start
+
+    // Each pattern is one cycle of notes as [frequency Hz, offset s, length s], repeated every `period` seconds
+    const TONE_PATTERNS = {
+        bell: { label: 'Bell', period: 2, notes: [[880, 0, 1.8]] },
+        beeps: { label: 'Beeps', period: 1, notes: [[1000, 0, 0.15], [1000, 0.3, 0.15]] },
+        chime: { label: 'Chime', period: 3, notes: [[659, 0, 0.6], [523, 0.6, 0.6], [392, 1.2, 1.2]] }
+    };
+
+    let audioContext = null;
+    let dbPromise = null;
+    let playing = null; // { stop() } for the sound that is playing
+    let stateListeners = []; // Called when page audio is unlocked or suspended
+    let generation = 0; // Incremented by stop(), so a sound that is still loading doesn't start afterwards
+
+    /**
+     * Open the IndexedDB database holding uploaded files
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Run one request against the file store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+     * @returns {Promise<*>} The request's result
+     */
+    async function withStore(mode, makeRequest) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Store an uploaded audio file
+     * @param {File} file - Audio file chosen by the user
+     * @returns {Object} Fallback sound referring to the stored file
+     */
+    async function saveFile(file) {
+        if (!file.type.startsWith('audio/')) {
+            throw new Error(`${file.name} is not an audio file`);
+        }
+        const fileId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        await withStore('readwrite', store => store.put(file, fileId));
+        return { type: 'file', fileId, name: file.name };
+    }
+
+    /**
+     * Delete stored files that no schedule uses any more
+     * @param {string[]} usedIds - IDs of the files still in use
+     */
+    async function pruneFiles(usedIds) {
+        const ids = await withStore('readonly', store => store.getAllKeys());
+        for (const id of ids.filter(id => !usedIds.includes(id))) {
+            await withStore('readwrite', store => store.delete(id));
+        }
+    }
+
+    /**
+     * Get the shared audio context. Browsers only let it start after a user gesture,
+     * so call this from a click handler once before any schedule needs it.
+     * @returns {AudioContext}
+     */
+    function unlock() {
+        if (!audioContext) {
+            audioContext = new AudioContext();
+            audioContext.addEventListener('statechange', () => stateListeners.forEach(listener => listener()));
+        }
+        if (audioContext.state === 'suspended') {
+            audioContext.resume().catch(() => {});
+        }
+        return audioContext;
+    }
+
+    /**
+     * Whether the page can play sound now. After a reload browsers keep page audio
+     * suspended until the user clicks somewhere (see unlock).
+     */
+    function isUnlocked() {
+        return Boolean(audioContext) && audioContext.state === 'running';
+    }
+
+    /**
+     * Listen for page audio being unlocked or suspended
+     * @param {Function} listener - Called without arguments
+     */
+    function onStateChange(listener) {
+        stateListeners.push(listener);
+    }
+
+    /**
+     * Make sure the audio context is running, so a sound isn't silently swallowed
+     */
+    async function ensureRunning() {
+        const context = unlock();
+        if (context.state !== 'running') {
+            // Without a user gesture resume() may never settle, so don't wait for it long
+            const timeout = new Promise(resolve => setTimeout(resolve, RESUME_TIMEOUT_MS));
+            await Promise.race([context.resume().catch(() => {}), timeout]);
+        }
+        if (context.state !== 'running') {
+            throw new Error('The browser blocks sound until the page has been clicked once since it was loaded');
+        }
+    }
+
+    /**
+     * Play a fallback sound, replacing any that is playing
+     * @param {Object} sound - { type: 'tone', pattern } or { type: 'file', fileId, name }
+     * @param {Object} options - Playback options
+     * @param {number} options.volume - Volume (0-100)
+     * @param {number} options.durationMs - How long to play. Files without one play once,
+     *     tones without one play for 30 seconds.
+     */
+    async function play(sound, { volume, durationMs }) {
+        stop();
+        const current = generation;
+        if (sound.type !== 'tone' && sound.type !== 'file') {
+            throw new Error(`Unknown fallback sound: ${sound.type}`);
+        }
+        await ensureRunning();
+
+        const started = sound.type === 'tone'
+            ? playTone(sound.pattern, volume, durationMs || DEFAULT_DURATION_MS)
+            : await playFile(sound, volume, durationMs);
+        if (current !== generation) {
+            // Stopped while loading
+            started.stop();
+            return;
+        }
+        playing = started;
+    }
+
+    /**
+     * Play a tone pattern on the audio context, looping one rendered cycle for the duration
+     * @returns {Object} { stop() }
+     */
+    function playTone(patternName, volume, durationMs) {
+        const pattern = TONE_PATTERNS[patternName] || TONE_PATTERNS.bell;
+        const context = unlock();
+        const output = context.createGain();
+        output.gain.value = volume / 100;
+        output.connect(context.destination);
+
+        const source = context.createBufferSource();
+        source.buffer = renderCycle(context, pattern);
+        source.loop = true;
+        source.connect(output);
+        const start = context.currentTime + 0.05;
+        source.start(start);
+        source.stop(start + durationMs / 1000);
+
+        const tone = {
+            stop: () => {
+                source.onended = null;
+                source.stop();
+                source.disconnect();
+                output.disconnect();
+            }
+        };
+        // Free the nodes when the tone runs out by itself
+        source.onended = () => {
+            source.disconnect();
+            output.disconnect();
+            if (playing === tone) {
+                playing = null;
+            }
+        };
+        return tone;
+    }
+
+    /**
+     * Render one cycle of a tone pattern into an audio buffer
+     * @param {AudioContext} context - Audio context the buffer is played on
+     * @param {Object} pattern - Entry of TONE_PATTERNS
+     * @returns {AudioBuffer}
+     */
+    function renderCycle(context, pattern) {
+        const rate = context.sampleRate;
+        const buffer = context.createBuffer(1, Math.round(pattern.period * rate), rate);
+        const samples = buffer.getChannelData(0);
+        const attack = 0.01;
+
+        pattern.notes.forEach(([frequency, offset, length]) => {
+            const first = Math.round(offset * rate);
+            const last = Math.min(Math.round((offset + length) * rate), samples.length);
+            for (let i = first; i < last; i++) {
+                const t = (i - first) / rate;
+                // Quick attack, then decay to -60 dB so notes sound struck rather than switched on
+                const envelope = t < attack ? t / attack : Math.pow(0.001, (t - attack) / (length - attack));
+                samples[i] += Math.sin(2 * Math.PI * frequency * t) * envelope;
+            }
+        });
+        return buffer;
+    }
+
+    /**
+     * Play a stored audio file, looped to fill the duration if there is one
+     * @returns {Object} { stop() }
+     */
+    async function playFile(sound, volume, durationMs) {
+        const file = await withStore('readonly', store => store.get(sound.fileId));
+        if (!file) {
+            throw new Error(`The fallback sound ${sound.name} is no longer stored. Upload it again.`);
+        }
+
+        const url = URL.createObjectURL(file);
+        const audio = new Audio(url);
+        audio.volume = volume / 100;
+        audio.loop = Boolean(durationMs);
+        let timer = null;
+        const playback = {
+            stop: () => {
+                clearTimeout(timer);
+                audio.pause();
+                URL.revokeObjectURL(url);
+                if (playing === playback) {
+                    playing = null;
+                }
+            }
+        };
+        audio.addEventListener('ended', playback.stop);
+        if (durationMs) {
+            timer = setTimeout(playback.stop, durationMs);
+        }
+
+        try {
+            await audio.play();
+        } catch (error) {
+            playback.stop();
+            throw error;
+        }
+        return playback;
+    }
+
+    /**
+     * Stop the fallback sound that is playing, if any
+     */
+    function stop() {
+        generation++;
+        if (playing) {
+            const sound = playing;
+            playing = null;
+            sound.stop();
+        }
+    }
+
+    /**
+     * Get the tone patterns that can be picked as a fallback sound
+     * @returns {Object} Labels by pattern name
+     */
+    function getTonePatterns() {
+        return Object.fromEntries(Object.entries(TONE_PATTERNS).map(([name, pattern]) => [name, pattern.label]));
+    }
+
+    // Public API
+    return {
+        play,
+        stop,
+        unlock,
+        isUnlocked,
+        onStateChange,
+        saveFile,
+        pruneFiles,
+        getTonePatterns
+    };
+})();
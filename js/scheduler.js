@@ -3,423 +3,2344 @@
  * Handles scheduling music to play at specific times
  */
 
-const Scheduler = (function() {
+/**
+ * Create a scheduler. Everything it needs from its environment can be replaced,
+ * so it can run headless (e.g. in Node with a fake clock and a fake player).
+ * @param {Object} adapters - Optional replacements for the browser environment
+ * @param {Object} adapters.clock - { now() } returning the current time in ms
+ * @param {Object} adapters.timers - { setTimeout, clearTimeout, setInterval, clearInterval }
+ * @param {Object} adapters.storage - { getItem, setItem, removeItem } like localStorage (in memory if there is none)
+ * @param {Object} adapters.player - Spotify client with getCurrentUser, getPlaybackState, getDevices,
+ *     transferPlayback, play, pause, addToQueue, next, setVolume, setShuffle, setRepeat and getPlaylistTracks,
+ *     like SpotifyAPI
+ * @param {Object} adapters.playbackStore - Shared playback state, like PlaybackStore (see createPlaybackStore);
+ *     a new one reading from the player if omitted
+ * @param {Object} adapters.fallbackAudio - { play(sound, { volume, durationMs }), stop() } for playing a
+ *     schedule's fallback sound locally when Spotify fails, like FallbackAudio (none if omitted)
+ * @param {Object} adapters.announcer - { speak(text, { voice, lang, rate }), cancel() } for spoken
+ *     announcements, like Announcer (announcements are skipped if omitted)
+ * @param {Function} adapters.notify - Called with (message, isError) for user-facing messages
+ * @param {Function} adapters.onSchedulesChanged - Called when schedules change outside of the caller's actions
+ * @param {Function} adapters.onSkipDatesChanged - Called when skip dates change outside of the caller's actions
+ * @param {Function} adapters.random - Returns a number in [0, 1), used to pick pool tracks
+ * @param {Object} adapters.logger - { log, warn, error } like console
+ * @param {boolean} adapters.sharedStorage - Whether other schedulers (browser tabs) use the same storage,
+ *     so one of them has to be elected to trigger schedules. Defaults to true for localStorage.
+ * @returns {Object} Scheduler API
+ */
+function createScheduler(adapters = {}) {
     const SCHEDULES_KEY = 'spotify_schedules';
+    const SKIP_DATES_KEY = 'spotify_skip_dates';
+    const SESSION_KEY = 'spotify_playback_session';
+    const LEADER_KEY = 'spotify_scheduler_leader';
     const SCHEDULE_CHECK_INTERVAL_MS = 1000; // Check every second for precise timing
     const MAX_TRACK_MONITOR_SECONDS = 600; // Monitor track for up to 10 minutes
+    const MAX_CONTEXT_MONITOR_SECONDS = 3 * 60 * 60; // Monitor playlists of unknown length for up to 3 hours
+    const CONTEXT_URI_PATTERN = /^spotify:(playlist|album|artist):[a-zA-Z0-9]+$/;
+    const MS_PER_DAY = 24 * 60 * 60 * 1000;
+    const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6]; // Same numbering as Date.getDay() (0 = Sunday)
+    const WEEKDAYS = [1, 2, 3, 4, 5];
+    const WEEKEND_DAYS = [0, 6];
+    const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+    const MAX_LOOKAHEAD_DAYS = 2 * 366; // How far ahead to search for the next occurrence
+    const TRIGGER_WINDOW_MS = 60 * 1000; // Still counts as on time if a slow tick runs up to a minute late
+    const MISSED_POLICIES = ['skip', 'grace', 'latest'];
+    const DEFAULT_GRACE_MINUTES = 5;
+    const MAX_MISSED_OCCURRENCES = 1000; // Stop counting missed occurrences after this many
+    const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+    const POOL_STRATEGIES = ['random', 'round-robin', 'no-repeat'];
+    const FADE_MIN_STEP_MS = 1000; // At most one volume request per second during fades (Spotify rate limits)
+    const CONFLICT_POLICIES = ['preempt', 'queue', 'skip'];
+    const MAX_QUEUE_WAIT_MS = 10 * 60 * 1000; // Drop queued schedules that waited longer than this
+    const OVERLAP_LOOKAHEAD_DAYS = 14; // How far ahead to look for overlapping schedules
+    const MAX_RESUME_LATE_MS = 10 * 60 * 1000; // Don't resume a session that ended longer ago than this
+    const LEADER_LEASE_MS = 5000; // Another tab takes over triggering when the leader hasn't checked in for this long
+    const CHECK_DELAY_WARNING_MS = 5000; // A gap between checks this long means triggers can be late
+    const DEFAULT_READINESS_MINUTES = 5; // Check that Spotify is ready this long before a schedule plays
+    const READINESS_RECHECK_MS = 30 * 1000; // Repeat a failed readiness check this often until the schedule plays
+    const ANNOUNCEMENT_POSITIONS = ['before', 'after', 'instead'];
+    const START_MODES = ['interrupt', 'after-current'];
+    const QUEUED_START_TIMEOUT_MS = 2 * 60 * 1000; // Give up on a queued track this long after the current one should have ended
+    const QUEUED_END_MARGIN_MS = 5000; // A queued track that gives way this close to its end has ended by itself
+    const SESSION_POLL_MS = 1000; // How often the playback state is read while a schedule is waiting or playing
+    const DUCK_VOLUME_RATIO = 0.3; // Music ducked under an announcement plays at this share of its volume
     
+    const clock = adapters.clock || { now: () => Date.now() };
+    const timers = adapters.timers || {
+        setTimeout: (callback, ms) => setTimeout(callback, ms),
+        clearTimeout: id => clearTimeout(id),
+        setInterval: (callback, ms) => setInterval(callback, ms),
+        clearInterval: id => clearInterval(id)
+    };
+    const storage = adapters.storage || (typeof localStorage !== 'undefined' ? localStorage : createMemoryStorage());
+    const player = adapters.player || (typeof SpotifyAPI !== 'undefined' ? SpotifyAPI : null);
+    const fallbackAudio = adapters.fallbackAudio || (typeof FallbackAudio !== 'undefined' ? FallbackAudio : null);
+    const announcer = adapters.announcer || (typeof Announcer !== 'undefined' ? Announcer : null);
+    const random = adapters.random || Math.random;
+    const logger = adapters.logger || console;
+    const playbackStore = adapters.playbackStore || createPlaybackStore({ player, timers, clock, logger });
+    const sharedStorage = adapters.sharedStorage ?? (!adapters.storage && typeof localStorage !== 'undefined');
+    const instanceId = `${clock.now()}-${random().toString(36).slice(2)}`;
+
     let schedules = [];
+    let skipDates = []; // Holidays and other days when repeating schedules don't fire
     let checkInterval = null;
-    let previousPlaybackState = null;
-    let activeSchedule = null; // Track the currently active schedule
-    let activeScheduleStartTime = null; // When the active schedule started playing
+    let lastCheckAt = null; // When schedules were last checked
+    let lastCheckDelay = null; // The last time checks were held up, as { at, delayMs }
+    let previousPlaybackState = null; // Playback from before the first of a run of back-to-back schedules
+    let playbackQueue = []; // Schedules waiting for the active one to finish, as { schedule, queuedAt }
+    let activeSession = null; // Playback session of the schedule that played last, as { schedule, state, startTime }
+    let sessionListeners = []; // Called on every playback session transition
+    let fadeGeneration = 0; // Incremented to cancel running volume fades
+    let isLeader = false; // Whether this tab triggers schedules (see claimLeadership)
+    const readinessChecks = new Set(); // IDs of schedules with a readiness check in progress
+
+    /**
+     * The current time as a Date, from the scheduler's clock
+     */
+    function currentDate() {
+        return new Date(clock.now());
+    }
+
+    /**
+     * Wait on the scheduler's timers
+     * @param {number} ms - Milliseconds to wait
+     */
+    function sleep(ms) {
+        return new Promise(resolve => timers.setTimeout(resolve, ms));
+    }
 
     /**
      * Initialize the scheduler
      */
     function init() {
+        // Skip dates first - they are needed to compute the next fire times
+        loadSkipDates();
         loadSchedules();
+        // With shared storage the elected tab resumes the session when it takes over
+        if (!sharedStorage) {
+            resumeSession();
+        }
         startChecking();
     }
 
     /**
-     * Load schedules from localStorage
+     * Check whether this tab may trigger schedules, renewing or claiming the leader lease.
+     * A new claim only counts from the next check on, once it's clear that no other tab
+     * claimed the lease at the same moment.
+     * @returns {boolean} Whether this tab is the leader
+     */
+    function claimLeadership() {
+        const now = clock.now();
+        let lease = null;
+        try {
+            lease = JSON.parse(storage.getItem(LEADER_KEY));
+        } catch {
+            // Treat a broken lease as expired
+        }
+
+        const ours = Boolean(lease) && lease.id === instanceId;
+        if (lease && !ours && lease.expires > now) {
+            if (isLeader) {
+                loseLeadership();
+            }
+            return false;
+        }
+
+        storage.setItem(LEADER_KEY, JSON.stringify({ id: instanceId, expires: now + LEADER_LEASE_MS }));
+        if (!ours) {
+            return false;
+        }
+        if (!isLeader) {
+            isLeader = true;
+            logger.log('This tab now triggers schedules');
+            // Pick up what the previous leader saved, including a session it was playing
+            loadSkipDates();
+            loadSchedules();
+            resumeSession();
+            notifySchedulesChanged();
+        }
+        return true;
+    }
+
+    /**
+     * Whether another tab holds the leader lease, without claiming it
+     */
+    function isLedByOtherTab() {
+        if (!sharedStorage || isLeader) {
+            return false;
+        }
+        try {
+            const lease = JSON.parse(storage.getItem(LEADER_KEY));
+            return Boolean(lease) && lease.id !== instanceId && lease.expires > clock.now();
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Stop acting as leader, e.g. after another tab took over while this one was throttled
      */
-    function loadSchedules() {
-        const stored = localStorage.getItem(SCHEDULES_KEY);
+    function loseLeadership() {
+        isLeader = false;
+        logger.log('Another tab now triggers schedules');
+        // The new leader resumes the saved session
+        releaseSession();
+    }
+
+    /**
+     * Give up the leader lease so another tab takes over straight away
+     */
+    function releaseLeadership() {
+        if (!isLeader) {
+            return;
+        }
+        isLeader = false;
+        try {
+            const lease = JSON.parse(storage.getItem(LEADER_KEY));
+            if (lease && lease.id === instanceId) {
+                storage.removeItem(LEADER_KEY);
+            }
+        } catch {
+            // Leave a broken lease to expire
+        }
+    }
+
+    /**
+     * Pick up changes another tab made to the shared storage
+     * @param {string|null} key - Changed storage key, or null if the storage was cleared
+     */
+    function handleStorageChange(key) {
+        if (key === SCHEDULES_KEY || key === null) {
+            // Read only: the other tab already saved what it changed, and saving our copy
+            // back could overwrite a write the leader made in the meantime
+            loadSchedules(true);
+        }
+        if (key === SKIP_DATES_KEY || key === null) {
+            loadSkipDates();
+            notifySkipDatesChanged();
+        }
+        if (key === SCHEDULES_KEY || key === SKIP_DATES_KEY || key === SESSION_KEY || key === null) {
+            notifySchedulesChanged();
+        }
+    }
+
+    /**
+     * Load schedules from storage
+     * @param {boolean} readOnly - Don't save the loaded schedules back, e.g. after another tab changed them
+     */
+    function loadSchedules(readOnly = false) {
+        const stored = storage.getItem(SCHEDULES_KEY);
         if (stored) {
             try {
                 schedules = JSON.parse(stored);
+                // Convert schedules saved with the old repeat flag
+                schedules.forEach(migrateRecurrence);
                 // Filter out any past schedules that don't repeat
-                schedules = schedules.filter(s => !s.triggered || s.repeat);
-                // Reset triggered flag for repeating schedules on new day
+                // (keep them while a missed-trigger notice is still showing)
+                schedules = schedules.filter(s => !s.triggered || isRepeating(s) || s.missed);
+                // Schedules saved before fire times existed get one from now.
+                // A stored fire time in the past is left for checkSchedules to handle.
+                const now = currentDate();
                 schedules.forEach(s => {
-                    if (s.repeat) {
-                        const lastTriggered = s.lastTriggeredDate;
-                        const today = new Date().toDateString();
-                        if (lastTriggered !== today) {
-                            s.triggered = false;
-                        }
+                    if (s.nextFireAt === undefined) {
+                        updateNextFireTime(s, now);
+                    }
+                    if (!s.missedPolicy) {
+                        s.missedPolicy = 'skip';
+                        s.graceMinutes = DEFAULT_GRACE_MINUTES;
+                    }
+                    delete s.lastTriggeredDate;
+                    // Contexts used to take a start position, which seeked within their first track
+                    if (s.contextUri && s.startPosition) {
+                        s.startPosition = 0;
                     }
                 });
-                saveSchedules();
+                if (!readOnly) {
+                    saveSchedules();
+                }
             } catch {
                 schedules = [];
             }
         }
-    }
+    }
+
+    /**
+     * Save schedules to storage
+     */
+    function saveSchedules() {
+        storage.setItem(SCHEDULES_KEY, JSON.stringify(schedules));
+    }
+
+    /**
+     * Load skip dates from storage
+     */
+    function loadSkipDates() {
+        const stored = storage.getItem(SKIP_DATES_KEY);
+        if (stored) {
+            try {
+                skipDates = JSON.parse(stored);
+            } catch {
+                skipDates = [];
+            }
+        }
+    }
+
+    /**
+     * Save skip dates to storage
+     */
+    function saveSkipDates() {
+        storage.setItem(SKIP_DATES_KEY, JSON.stringify(skipDates));
+    }
+
+    /**
+     * Add a day or range of days on which repeating schedules don't fire
+     * @param {Object} skipDate - Skip date entry
+     * @param {string} skipDate.start - First skipped day (YYYY-MM-DD)
+     * @param {string} skipDate.end - Last skipped day (YYYY-MM-DD), defaults to start
+     * @param {string} skipDate.label - Description, e.g. "Christmas break"
+     */
+    function addSkipDate(skipDate) {
+        const start = skipDate.start;
+        const end = skipDate.end || start;
+        if (!DATE_KEY_PATTERN.test(start || '') || !DATE_KEY_PATTERN.test(end)) {
+            throw new Error('Skip dates must be in YYYY-MM-DD format');
+        }
+        if (end < start) {
+            throw new Error('Skip range ends before it starts');
+        }
+
+        const newSkipDate = {
+            id: clock.now().toString(),
+            start: start,
+            end: end,
+            label: skipDate.label || ''
+        };
+        skipDates.push(newSkipDate);
+        skipDates.sort((a, b) => a.start.localeCompare(b.start));
+        saveSkipDates();
+        rescheduleAll();
+        return newSkipDate;
+    }
+
+    /**
+     * Remove a skip date by ID
+     * @param {string} skipDateId - Skip date ID
+     */
+    function removeSkipDate(skipDateId) {
+        skipDates = skipDates.filter(d => d.id !== skipDateId);
+        saveSkipDates();
+        rescheduleAll();
+    }
+
+    /**
+     * Get all skip dates
+     */
+    function getSkipDates() {
+        return [...skipDates];
+    }
+
+    /**
+     * Check whether a date falls inside any skip date range
+     * @param {Date} date - Day to check
+     */
+    function isSkippedDate(date) {
+        const key = toDateKey(date);
+        return skipDates.some(d => d.start <= key && key <= d.end);
+    }
+
+    /**
+     * Convert the legacy repeat boolean into a recurrence rule
+     * @param {Object} schedule - Stored schedule
+     */
+    function migrateRecurrence(schedule) {
+        if (!schedule.recurrence) {
+            schedule.recurrence = normalizeRecurrence({
+                frequency: schedule.repeat === false ? 'once' : 'daily',
+                anchorDate: schedule.id ? toDateKey(new Date(parseInt(schedule.id))) : undefined
+            });
+        }
+        delete schedule.repeat;
+    }
+
+    /**
+     * Build a complete recurrence rule from partial input
+     * @param {Object} recurrence - Recurrence rule
+     * @param {string} recurrence.frequency - 'once', 'daily' or 'weekly'
+     * @param {number[]} recurrence.days - Days of the week (0 = Sunday) for weekly rules
+     * @param {number} recurrence.interval - Repeat every N weeks for weekly rules
+     * @param {string} recurrence.anchorDate - YYYY-MM-DD the week interval counts from
+     * @param {string} recurrence.date - YYYY-MM-DD a one-off schedule fires on (optional)
+     */
+    function normalizeRecurrence(recurrence = {}) {
+        const frequency = ['once', 'daily', 'weekly'].includes(recurrence.frequency) ? recurrence.frequency : 'daily';
+        const days = Array.isArray(recurrence.days)
+            ? [...new Set(recurrence.days.map(Number).filter(d => ALL_DAYS.includes(d)))].sort((a, b) => a - b)
+            : [...ALL_DAYS];
+        const interval = Math.max(1, parseInt(recurrence.interval) || 1);
+
+        if (frequency === 'weekly' && days.length === 0) {
+            throw new Error('Pick at least one day of the week');
+        }
+        if (recurrence.date && !DATE_KEY_PATTERN.test(recurrence.date)) {
+            throw new Error('Dates must be in YYYY-MM-DD format');
+        }
+
+        const normalized = {
+            frequency: frequency,
+            days: frequency === 'weekly' ? days : [...ALL_DAYS],
+            interval: frequency === 'weekly' ? interval : 1,
+            anchorDate: recurrence.anchorDate || toDateKey(currentDate())
+        };
+        if (frequency === 'once' && recurrence.date) {
+            normalized.date = recurrence.date;
+        }
+        return normalized;
+    }
+
+    /**
+     * Whether a schedule fires on more than one day
+     * @param {Object} schedule - Schedule object
+     */
+    function isRepeating(schedule) {
+        return schedule.recurrence?.frequency !== 'once';
+    }
+
+    /**
+     * Check whether a schedule is allowed to fire on a date.
+     * Skip dates only apply to repeating schedules; a dated one-off always fires on its date.
+     * @param {Object} schedule - Schedule object
+     * @param {Date} date - Day to check
+     */
+    function occursOn(schedule, date) {
+        const rule = schedule.recurrence;
+        if (rule?.frequency === 'once') {
+            return !rule.date || rule.date === toDateKey(date);
+        }
+        if (isSkippedDate(date)) {
+            return false;
+        }
+        if (!rule || rule.frequency !== 'weekly') {
+            return true;
+        }
+        if (!rule.days.includes(date.getDay())) {
+            return false;
+        }
+        if (rule.interval > 1) {
+            const weeks = Math.round((startOfWeek(date) - startOfWeek(fromDateKey(rule.anchorDate))) / (7 * MS_PER_DAY));
+            return weeks >= 0 && weeks % rule.interval === 0;
+        }
+        return true;
+    }
+
+    /**
+     * Get a readable summary of a recurrence rule, e.g. "Weekdays"
+     * @param {Object} recurrence - Recurrence rule
+     */
+    function describeRecurrence(recurrence) {
+        if (!recurrence || recurrence.frequency === 'daily') {
+            return 'Every day';
+        }
+        if (recurrence.frequency === 'once') {
+            return recurrence.date ? `Once · ${formatDateKey(recurrence.date)}` : 'Once';
+        }
+
+        const days = recurrence.days;
+        let dayText;
+        if (days.length === ALL_DAYS.length) {
+            dayText = 'Every day';
+        } else if (days.length === WEEKDAYS.length && WEEKDAYS.every(d => days.includes(d))) {
+            dayText = 'Weekdays';
+        } else if (days.length === WEEKEND_DAYS.length && WEEKEND_DAYS.every(d => days.includes(d))) {
+            dayText = 'Weekends';
+        } else {
+            // List Monday first, Sunday last
+            dayText = [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)).map(d => DAY_NAMES[d]).join(', ');
+        }
+
+        if (recurrence.interval > 1) {
+            return `Every ${recurrence.interval} weeks · ${dayText}`;
+        }
+        return dayText;
+    }
+
+    /**
+     * Get the first time a schedule occurs strictly after a point in time.
+     * Candidates are built from local calendar fields, so the wall-clock time
+     * stays the same across DST changes.
+     * @param {Object} schedule - Schedule object
+     * @param {Date} from - Point in time to search from (default: now)
+     * @returns {Date|null} Next occurrence, or null if it will not fire again
+     */
+    function getNextOccurrence(schedule, from = currentDate()) {
+        if (!isRepeating(schedule) && schedule.triggered) {
+            return null;
+        }
+
+        const [hours, minutes] = schedule.time.split(':').map(Number);
+
+        for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+            const candidate = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset, hours, minutes, 0, 0);
+            if (candidate <= from) {
+                continue;
+            }
+            if (occursOn(schedule, candidate)) {
+                return candidate;
+            }
+            // A dated one-off can't occur after its date
+            if (schedule.recurrence?.date && toDateKey(candidate) >= schedule.recurrence.date) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Recompute and store when a schedule fires next
+     * @param {Object} schedule - Schedule object
+     * @param {Date} from - Point in time to search from
+     */
+    function updateNextFireTime(schedule, from) {
+        const next = getNextOccurrence(schedule, from);
+        schedule.nextFireAt = next ? next.getTime() : null;
+    }
+
+    /**
+     * Recompute fire times for all schedules from now,
+     * e.g. after the skip dates changed
+     */
+    function rescheduleAll() {
+        const now = currentDate();
+        schedules.forEach(s => updateNextFireTime(s, now));
+        saveSchedules();
+    }
+
+    /**
+     * Get when a schedule fires next
+     * @param {Object} schedule - Schedule object
+     * @returns {Date|null} Next fire time, or null if it will not fire again
+     */
+    function getNextFireTime(schedule) {
+        return schedule.nextFireAt ? new Date(schedule.nextFireAt) : null;
+    }
+
+    /**
+     * Format a YYYY-MM-DD key for display, e.g. "Mon, 3 Nov 2026"
+     * @param {string} key - Date key
+     */
+    function formatDateKey(key) {
+        return fromDateKey(key).toLocaleDateString(undefined, {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        });
+    }
+
+    /**
+     * Format a date as a local YYYY-MM-DD key
+     * @param {Date} date - Date to format
+     */
+    function toDateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Parse a local YYYY-MM-DD key into a Date at midnight
+     * @param {string} key - Date key
+     */
+    function fromDateKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Get midnight of the Monday starting the week of a date
+     * @param {Date} date - Date inside the week
+     */
+    function startOfWeek(date) {
+        const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+        return monday;
+    }
+
+    /**
+     * Add a new schedule
+     * @param {Object} schedule - Schedule settings
+     * @param {string} schedule.time - Time in HH:MM format
+     * @param {string} schedule.trackUri - Spotify track URI (for contexts: optional track to start at)
+     * @param {string} schedule.contextUri - Spotify playlist, album or artist URI to play instead of a single track
+     * @param {boolean} schedule.shuffle - Whether to shuffle the context
+     * @param {string} schedule.startTrackName - Name of the track a context starts at, for display
+     * @param {string} schedule.trackName - Track (or playlist/album/artist) name for display
+     * @param {string} schedule.artistName - Artist (or playlist owner) name for display
+     * @param {number} schedule.volume - Volume level (0-100)
+     * @param {boolean} schedule.restorePlayback - Whether to restore previous playback after song ends
+     * @param {Object} schedule.recurrence - Recurrence rule (see normalizeRecurrence), defaults to daily
+     * @param {number} schedule.startPosition - Position in the track to start at, in seconds
+     * @param {number} schedule.playbackDuration - Duration to play in seconds, counted from startPosition
+     * @param {number} schedule.trackDuration - Full track (or context, if known) duration in seconds
+     * @param {string} schedule.missedPolicy - What to do when a fire time passed while the page wasn't
+     *     ticking: 'skip', 'grace' (fire late within graceMinutes) or 'latest' (fire the most recent one)
+     * @param {number} schedule.graceMinutes - How late a 'grace' schedule may still fire
+     * @param {number} schedule.readinessMinutes - Check that Spotify is ready this many minutes
+     *     before the schedule plays (0 turns the check off)
+     * @param {number} schedule.fadeInSeconds - Ramp the volume up from 0 over this many seconds
+     * @param {number} schedule.fadeOutSeconds - Ramp the volume down to 0 before playbackDuration is reached
+     * @param {Object} schedule.pool - Play one track per firing from a pool instead of trackUri/contextUri
+     * @param {Object[]} schedule.pool.tracks - Tracks as { uri, name, artistName, duration } (duration in seconds)
+     * @param {string} schedule.pool.playlistUri - Playlist whose tracks form the pool (refreshed on every firing)
+     * @param {string} schedule.pool.strategy - 'random', 'round-robin' or 'no-repeat' (all tracks play once per cycle)
+     * @param {string} schedule.conflictPolicy - What to do when another schedule is still playing:
+     *     'preempt' (take over), 'queue' (play when it finishes) or 'skip' (don't play)
+     * @param {Object[]} schedule.devices - Devices to play on as { id, name }: the first one that is
+     *     available plays, the rest are fallbacks in order. Empty plays on the active device.
+     */
+    function addSchedule(schedule) {
+        const newSchedule = {
+            id: clock.now().toString(),
+            ...buildScheduleSettings(schedule),
+            triggered: false,
+            enabled: true,
+            nextFireAt: null,
+            lastFiredAt: null,
+            missed: null
+        };
+        updateNextFireTime(newSchedule, currentDate());
+        schedules.push(newSchedule);
+        saveSchedules();
+        return newSchedule;
+    }
+
+    /**
+     * Change the settings of an existing schedule, keeping its ID and history
+     * @param {string} scheduleId - Schedule ID
+     * @param {Object} changes - Settings to change (same fields as addSchedule)
+     * @returns {Object} The updated schedule
+     */
+    function updateSchedule(scheduleId, changes) {
+        const index = schedules.findIndex(s => s.id === scheduleId);
+        if (index === -1) {
+            throw new Error('Schedule not found');
+        }
+
+        const existing = schedules[index];
+        const settings = buildScheduleSettings({
+            ...existing,
+            ...changes,
+            recurrence: { ...existing.recurrence, ...changes.recurrence },
+            // Keep the rotation state of an edited pool; pool: null switches to a track or context
+            pool: 'pool' in changes
+                ? (changes.pool && existing.pool ? { ...existing.pool, ...changes.pool } : changes.pool)
+                : existing.pool
+        });
+
+        // Replace rather than mutate, so a playback monitor holding the old object isn't affected
+        // Settings such as the devices affect readiness, so check again after any edit
+        const updated = { ...existing, ...settings, readiness: null };
+        const timingChanged = updated.time !== existing.time ||
+            JSON.stringify(updated.recurrence) !== JSON.stringify(existing.recurrence);
+        if (timingChanged) {
+            // A one-off moved to a new time can fire again
+            updated.triggered = false;
+            updateNextFireTime(updated, currentDate());
+        }
+
+        schedules[index] = updated;
+        saveSchedules();
+        return updated;
+    }
+
+    /**
+     * Validate and normalize the user-editable settings of a schedule
+     * @param {Object} input - Settings as passed to addSchedule
+     * @returns {Object} Normalized settings
+     */
+    function buildScheduleSettings(input) {
+        if (!TIME_PATTERN.test(input.time || '')) {
+            throw new Error('Time must be in HH:MM format');
+        }
+        const pool = input.pool ? normalizePool(input.pool) : null;
+        const announcement = normalizeAnnouncement(input.announcement);
+        const announcementOnly = announcement && announcement.position === 'instead';
+        if (!input.trackUri && !input.contextUri && !pool && !announcementOnly) {
+            throw new Error('Please select a track, playlist, album or artist');
+        }
+        if (pool && input.contextUri) {
+            throw new Error('A schedule plays either a track pool or a playlist/album/artist, not both');
+        }
+        if (input.contextUri && !CONTEXT_URI_PATTERN.test(input.contextUri)) {
+            throw new Error('Only playlists, albums and artists can be played as a context');
+        }
+        // Spotify can't start an artist context at a specific track
+        const isArtist = input.contextUri?.startsWith('spotify:artist:');
+
+        const volume = input.volume ?? 50;
+        if (!Number.isFinite(volume) || volume < 0 || volume > 100) {
+            throw new Error('Volume must be between 0 and 100');
+        }
+        if (input.playbackDuration !== null && input.playbackDuration !== undefined &&
+            !(input.playbackDuration >= 0)) {
+            throw new Error('Playback duration must be a positive number of seconds');
+        }
+
+        const startPosition = Math.max(0, parseInt(input.startPosition) || 0);
+        if (input.contextUri && startPosition > 0) {
+            // trackDuration is the length of the whole context, not of the track it starts with
+            throw new Error('Playlists, albums and artists always start at the beginning of a track');
+        }
+        if (input.trackDuration && startPosition >= input.trackDuration) {
+            throw new Error('The start position is past the end of the track');
+        }
+
+        const startMode = START_MODES.includes(input.startMode) ? input.startMode : 'interrupt';
+        if (startMode === 'after-current' && input.contextUri) {
+            throw new Error('Only tracks can wait for the current track - playlists, albums and artists can\'t be queued');
+        }
+        if (startMode === 'after-current' && startPosition > 0) {
+            throw new Error('A track that waits for the current track always starts from the beginning');
+        }
+
+        const fadeInSeconds = Math.max(0, parseInt(input.fadeInSeconds) || 0);
+        const fadeOutSeconds = Math.max(0, parseInt(input.fadeOutSeconds) || 0);
+        if (input.playbackDuration && fadeInSeconds + fadeOutSeconds > input.playbackDuration) {
+            throw new Error('Fade in and fade out together are longer than the playback duration');
+        }
+
+        return {
+            time: input.time,
+            trackUri: isArtist ? null : (input.trackUri || null),
+            contextUri: input.contextUri || null,
+            shuffle: Boolean(input.contextUri && input.shuffle),
+            startTrackName: input.contextUri && !isArtist && input.trackUri ? (input.startTrackName || null) : null,
+            trackName: input.trackName || 'Unknown Track',
+            artistName: input.artistName || 'Unknown Artist',
+            volume: volume,
+            restorePlayback: input.restorePlayback || false,
+            recurrence: normalizeRecurrence(input.recurrence), // Default to repeat daily
+            startPosition: startPosition,
+            playbackDuration: input.playbackDuration || null,
+            trackDuration: input.trackDuration || null,
+            missedPolicy: MISSED_POLICIES.includes(input.missedPolicy) ? input.missedPolicy : 'skip',
+            graceMinutes: Math.max(1, parseInt(input.graceMinutes) || DEFAULT_GRACE_MINUTES),
+            readinessMinutes: Number.isFinite(parseInt(input.readinessMinutes))
+                ? Math.max(0, parseInt(input.readinessMinutes))
+                : DEFAULT_READINESS_MINUTES,
+            fadeInSeconds: fadeInSeconds,
+            fadeOutSeconds: fadeOutSeconds,
+            pool: pool,
+            conflictPolicy: CONFLICT_POLICIES.includes(input.conflictPolicy) ? input.conflictPolicy : 'preempt',
+            startMode: startMode, // 'after-current' queues the track instead of cutting off the current one
+            devices: (input.devices || []).filter(d => d && d.id).map(d => ({ id: d.id, name: d.name || 'Unknown device' })),
+            fallbackSound: normalizeFallbackSound(input.fallbackSound),
+            announcement: announcement
+        };
+    }
+
+    /**
+     * Validate a schedule's spoken announcement
+     * @param {Object} announcement - { text, position, voice, lang, rate, duck }
+     * @returns {Object|null} Normalized announcement, or null for none
+     */
+    function normalizeAnnouncement(announcement) {
+        if (!announcement || !(announcement.text || '').trim()) {
+            return null;
+        }
+        if (!ANNOUNCEMENT_POSITIONS.includes(announcement.position)) {
+            throw new Error('An announcement is spoken before, after or instead of the music');
+        }
+        const rate = Number(announcement.rate) || 1;
+        if (rate < 0.5 || rate > 2) {
+            throw new Error('The speech rate must be between 0.5 and 2');
+        }
+        return {
+            text: announcement.text.trim(),
+            position: announcement.position,
+            voice: announcement.voice || null, // Voice URI, the browser's default if null
+            lang: announcement.lang || null, // BCP 47 language tag, the voice's if null
+            rate: rate,
+            duck: Boolean(announcement.duck) // Speak over lowered music instead of pausing it
+        };
+    }
+
+    /**
+     * Validate the sound a schedule plays locally when Spotify fails
+     * @param {Object} sound - { type: 'tone', pattern } or { type: 'file', fileId, name }
+     * @returns {Object|null} Normalized sound, or null for none
+     */
+    function normalizeFallbackSound(sound) {
+        if (!sound) {
+            return null;
+        }
+        if (sound.type === 'tone') {
+            return { type: 'tone', pattern: sound.pattern || 'bell' };
+        }
+        if (sound.type === 'file' && sound.fileId) {
+            return { type: 'file', fileId: sound.fileId, name: sound.name || 'Audio file' };
+        }
+        throw new Error('The fallback sound must be a tone or an uploaded audio file');
+    }
+
+    /**
+     * Validate a track pool and bring its rotation state in line with its tracks
+     * @param {Object} pool - Pool settings, optionally with rotation state
+     * @returns {Object} Pool with tracks, playlistUri, strategy and rotation state (cursor, played, upNext)
+     */
+    function normalizePool(pool) {
+        const tracks = (pool.tracks || []).filter(t => t && t.uri);
+        if (tracks.length === 0 && !pool.playlistUri) {
+            throw new Error('Add at least one track to the pool');
+        }
+        if (pool.playlistUri && !pool.playlistUri.startsWith('spotify:playlist:')) {
+            throw new Error('A track pool can only point at a playlist');
+        }
+
+        const uris = tracks.map(t => t.uri);
+        const normalized = {
+            tracks: tracks.map(t => ({
+                uri: t.uri,
+                name: t.name || 'Unknown Track',
+                artistName: t.artistName || 'Unknown Artist',
+                duration: t.duration || null
+            })),
+            playlistUri: pool.playlistUri || null,
+            strategy: POOL_STRATEGIES.includes(pool.strategy) ? pool.strategy : 'random',
+            cursor: Math.max(0, parseInt(pool.cursor) || 0) % Math.max(1, tracks.length),
+            played: (pool.played || []).filter(uri => uris.includes(uri)),
+            upNext: uris.includes(pool.upNext) ? pool.upNext : null
+        };
+        if (!normalized.upNext) {
+            normalized.upNext = pickNextPoolTrack(normalized, null);
+        }
+        return normalized;
+    }
+
+    /**
+     * Choose the track a pool plays at its next firing
+     * @param {Object} pool - Normalized pool
+     * @param {string|null} lastUri - Track that just played, if any
+     * @returns {string|null} Track URI, or null if the pool is empty
+     */
+    function pickNextPoolTrack(pool, lastUri) {
+        const uris = pool.tracks.map(t => t.uri);
+        if (uris.length === 0) {
+            return null;
+        }
+
+        if (pool.strategy === 'round-robin') {
+            return uris[pool.cursor % uris.length];
+        }
+        if (pool.strategy === 'no-repeat') {
+            let remaining = uris.filter(uri => !pool.played.includes(uri));
+            if (remaining.length === 0) {
+                // Every track has played - start a new cycle, without repeating the last one straight away
+                pool.played = [];
+                remaining = uris.length > 1 ? uris.filter(uri => uri !== lastUri) : uris;
+            }
+            return remaining[Math.floor(random() * remaining.length)];
+        }
+        return uris[Math.floor(random() * uris.length)];
+    }
+
+    /**
+     * Record that a pool track played and choose the next one
+     * @param {Object} pool - Normalized pool
+     * @param {string} playedUri - Track that played
+     */
+    function advancePool(pool, playedUri) {
+        const index = pool.tracks.findIndex(t => t.uri === playedUri);
+        if (pool.strategy === 'round-robin') {
+            pool.cursor = (index + 1) % pool.tracks.length;
+        } else if (pool.strategy === 'no-repeat' && !pool.played.includes(playedUri)) {
+            pool.played.push(playedUri);
+        }
+        pool.upNext = pickNextPoolTrack(pool, playedUri);
+    }
+
+    /**
+     * Refresh a playlist-backed pool with the playlist's current tracks
+     * @param {Object} pool - Normalized pool
+     */
+    async function refreshPoolPlaylist(pool) {
+        try {
+            const tracks = await player.getPlaylistTracks(pool.playlistUri.slice('spotify:playlist:'.length));
+            if (tracks.length === 0) {
+                return;
+            }
+            pool.tracks = tracks.map(track => ({
+                uri: track.uri,
+                name: track.name,
+                artistName: track.artists?.[0]?.name || 'Unknown Artist',
+                duration: track.duration_ms ? Math.floor(track.duration_ms / 1000) : null
+            }));
+            Object.assign(pool, normalizePool(pool));
+        } catch (error) {
+            // Keep using the tracks cached when the schedule was saved
+            logger.error('Error refreshing pool playlist:', error);
+        }
+    }
+
+    /**
+     * Get the schedule to play for one firing. For pool schedules this is a copy
+     * that plays the up-next track; the original keeps the rotation state.
+     * @param {Object} schedule - Schedule object
+     * @param {boolean} advance - Whether this firing moves the rotation on (false for test plays)
+     */
+    async function resolvePoolTrack(schedule, advance) {
+        const pool = schedule.pool;
+        if (!pool) {
+            return schedule;
+        }
+
+        if (pool.playlistUri) {
+            await refreshPoolPlaylist(pool);
+        }
+        const track = pool.tracks.find(t => t.uri === pool.upNext);
+        if (!track) {
+            throw new Error('The track pool is empty');
+        }
+
+        if (advance) {
+            advancePool(pool, track.uri);
+            saveSchedules();
+            notifySchedulesChanged();
+        }
+
+        return {
+            ...schedule,
+            trackUri: track.uri,
+            trackName: track.name,
+            artistName: track.artistName,
+            trackDuration: track.duration
+        };
+    }
+
+    /**
+     * Get the track a pool schedule plays next, or null for other schedules
+     * @param {Object} schedule - Schedule object
+     */
+    function getUpNextTrack(schedule) {
+        if (!schedule.pool) {
+            return null;
+        }
+        return schedule.pool.tracks.find(t => t.uri === schedule.pool.upNext) || null;
+    }
+
+    /**
+     * Remove a schedule by ID
+     * @param {string} scheduleId - Schedule ID
+     */
+    function removeSchedule(scheduleId) {
+        schedules = schedules.filter(s => s.id !== scheduleId);
+        dropQueued(scheduleId);
+        saveSchedules();
+    }
+
+    /**
+     * Toggle schedule enabled state
+     * @param {string} scheduleId - Schedule ID
+     */
+    function toggleSchedule(scheduleId) {
+        const schedule = schedules.find(s => s.id === scheduleId);
+        if (schedule) {
+            schedule.enabled = !schedule.enabled;
+            // Re-enabling must not fire occurrences that passed while disabled
+            if (schedule.enabled) {
+                updateNextFireTime(schedule, currentDate());
+            } else {
+                dropQueued(scheduleId);
+            }
+            saveSchedules();
+        }
+    }
+
+    /**
+     * Get all schedules
+     */
+    function getSchedules() {
+        return [...schedules];
+    }
+
+    /**
+     * Start checking for scheduled times
+     */
+    function startChecking() {
+        if (checkInterval) {
+            timers.clearInterval(checkInterval);
+        }
+        // Check every second for precise timing at schedule time
+        checkInterval = timers.setInterval(checkSchedules, SCHEDULE_CHECK_INTERVAL_MS);
+    }
+
+    /**
+     * Stop checking for scheduled times
+     */
+    function stopChecking() {
+        if (checkInterval) {
+            timers.clearInterval(checkInterval);
+            checkInterval = null;
+        }
+        lastCheckAt = null;
+    }
+
+    /**
+     * How reliably schedules are being checked
+     * @returns {Object} { lastCheckAt, lastDelay } - lastDelay is the last time checks were held up,
+     *     as { at, delayMs }, or null
+     */
+    function getTimingStatus() {
+        return { lastCheckAt, lastDelay: lastCheckDelay };
+    }
+
+    /**
+     * Stop checking and let go of the playback session, leaving playback as it is (e.g. before exiting)
+     */
+    function shutdown() {
+        stopChecking();
+        stopFallbackSound();
+        cancelAnnouncement();
+        releaseSession();
+        releaseLeadership();
+    }
+
+    /**
+     * Stop the playback session without saving, so the next init (or leader) resumes it
+     */
+    function releaseSession() {
+        cancelFades();
+        if (activeSession) {
+            if (activeSession.unwatch) {
+                activeSession.unwatch();
+            }
+            activeSession.state = 'done';
+            activeSession = null;
+        }
+        playbackQueue = [];
+        previousPlaybackState = null;
+    }
+
+    /**
+     * Check if any schedules have reached their fire time
+     */
+    async function checkSchedules() {
+        if (sharedStorage && !claimLeadership()) {
+            // Another tab triggers schedules
+            return;
+        }
+
+        const now = clock.now();
+        if (lastCheckAt !== null && now - lastCheckAt > CHECK_DELAY_WARNING_MS) {
+            // The browser throttled or froze the page, or the computer slept
+            lastCheckDelay = { at: now, delayMs: now - lastCheckAt };
+            logger.warn(`Schedule checks were held up for ${Math.round((now - lastCheckAt) / 1000)}s`);
+        }
+        lastCheckAt = now;
+
+        startReadinessChecks(now);
+
+        const due = [];
+        let changed = false;
+
+        for (const schedule of schedules) {
+            if (!schedule.nextFireAt || schedule.nextFireAt > now) {
+                continue;
+            }
+
+            const missedAt = getPassedOccurrences(schedule, now);
+            changed = true;
+
+            // Advance before triggering so an overlapping tick can't fire it twice
+            if (isRepeating(schedule)) {
+                updateNextFireTime(schedule, new Date(now));
+            } else {
+                schedule.nextFireAt = null;
+            }
+
+            if (!schedule.enabled) {
+                continue;
+            }
+
+            const latestAt = missedAt[missedAt.length - 1];
+            const lateMs = now - latestAt;
+            if (missedAt.length === 1 && lateMs <= TRIGGER_WINDOW_MS) {
+                schedule.triggered = true;
+                schedule.lastFiredAt = now;
+                due.push(schedule);
+                continue;
+            }
+
+            // The page wasn't ticking when the schedule was due
+            const fireLate = schedule.missedPolicy === 'latest' ||
+                (schedule.missedPolicy === 'grace' && lateMs <= schedule.graceMinutes * 60 * 1000);
+            schedule.triggered = true;
+            schedule.missed = {
+                scheduledAt: latestAt,
+                count: missedAt.length,
+                firedLate: fireLate,
+                lateSeconds: Math.round(lateMs / 1000),
+                detectedAt: now
+            };
+            logger.warn(`Missed schedule: ${schedule.trackName} at ${new Date(latestAt).toLocaleString()}` +
+                ` (${missedAt.length} missed, ${fireLate ? 'firing late' : 'skipped'})`);
+            showNotification(describeMissed(schedule), true);
+
+            if (fireLate) {
+                schedule.lastFiredAt = now;
+                due.push(schedule);
+            }
+        }
+
+        if (changed) {
+            saveSchedules();
+            notifySchedulesChanged();
+        }
+        for (const schedule of due) {
+            await triggerScheduleFiring(schedule, true);
+        }
+    }
+
+    /**
+     * Start readiness checks for schedules that play soon and haven't been found ready yet
+     * @param {number} now - Current timestamp
+     */
+    function startReadinessChecks(now) {
+        schedules.forEach(schedule => {
+            const minutes = schedule.readinessMinutes ?? DEFAULT_READINESS_MINUTES;
+            // Announcing instead of music doesn't need Spotify to be ready
+            const announcementOnly = schedule.announcement?.position === 'instead';
+            if (announcementOnly || !schedule.enabled || !schedule.nextFireAt || minutes === 0 ||
+                now < schedule.nextFireAt - minutes * 60 * 1000 || readinessChecks.has(schedule.id)) {
+                return;
+            }
+            const last = schedule.readiness;
+            if (last && last.fireAt === schedule.nextFireAt &&
+                (last.ok || now - last.checkedAt < READINESS_RECHECK_MS)) {
+                return;
+            }
+
+            readinessChecks.add(schedule.id);
+            runReadinessCheck(schedule)
+                .catch(error => logger.error('Error checking readiness:', error))
+                .finally(() => readinessChecks.delete(schedule.id));
+        });
+    }
+
+    /**
+     * Check that a schedule will be able to play, and store the result on the schedule
+     * @param {Object} schedule - Schedule object
+     */
+    async function runReadinessCheck(schedule) {
+        const fireAt = schedule.nextFireAt;
+        const problems = await getReadinessProblems(schedule);
+
+        // The schedule may have been edited or removed while checking
+        const current = schedules.find(s => s.id === schedule.id);
+        if (!current || current.nextFireAt !== fireAt) {
+            return;
+        }
+
+        const previous = current.readiness;
+        const ok = problems.length === 0;
+        current.readiness = { fireAt, checkedAt: clock.now(), ok, problems };
+        saveSchedules();
+        notifySchedulesChanged();
+
+        const label = `${current.trackName} at ${current.time}`;
+        if (!ok && (!previous || previous.fireAt !== fireAt || previous.ok)) {
+            showNotification(`${label} may not play: ${problems.join(' ')}`, true);
+        } else if (ok && previous && previous.fireAt === fireAt && !previous.ok) {
+            showNotification(`${label} is ready to play`);
+        }
+    }
+
+    /**
+     * Find what would stop a schedule from playing right now
+     * @param {Object} schedule - Schedule object
+     * @returns {string[]} Problems to show the user, empty if ready
+     */
+    async function getReadinessProblems(schedule) {
+        let user;
+        try {
+            // Fails if the access token can't be refreshed
+            user = await player.getCurrentUser();
+        } catch (error) {
+            if (error.status !== undefined && error.status !== 401) {
+                return [describePlayerError(error)];
+            }
+            return [`The Spotify login doesn't work (${error.message}). Log in again.`];
+        }
+
+        const problems = [];
+        if (user && user.product && user.product !== 'premium') {
+            problems.push('Controlling playback needs Spotify Premium.');
+        }
+
+        let devices;
+        try {
+            devices = await player.getDevices();
+        } catch (error) {
+            problems.push(describePlayerError(error));
+            return problems;
+        }
+
+        if (schedule.devices && schedule.devices.length > 0) {
+            if (!findScheduleDevice(schedule, devices)) {
+                problems.push(`None of the devices for ${schedule.trackName} are available (${schedule.devices.map(d => d.name).join(', ')}). Open Spotify on one of them.`);
+            }
+        } else {
+            const active = devices.find(d => d.is_active);
+            if (!active) {
+                problems.push(devices.length > 0
+                    ? `No Spotify device is active. Play something on ${devices[0].name} or another device, or pick devices for this schedule.`
+                    : 'No Spotify device is open. Open Spotify on the device that should play.');
+            } else if (active.is_restricted) {
+                problems.push(`${active.name} can't be controlled remotely. Play on another device.`);
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * List every occurrence of a schedule from its stored fire time up to now
+     * @param {Object} schedule - Schedule whose fire time has passed
+     * @param {number} now - Current timestamp
+     * @returns {number[]} Timestamps of the passed occurrences, oldest first
+     */
+    function getPassedOccurrences(schedule, now) {
+        const passed = [schedule.nextFireAt];
+        if (!isRepeating(schedule)) {
+            return passed;
+        }
+
+        let next = getNextOccurrence(schedule, new Date(schedule.nextFireAt));
+        while (next && next.getTime() <= now && passed.length < MAX_MISSED_OCCURRENCES) {
+            passed.push(next.getTime());
+            next = getNextOccurrence(schedule, next);
+        }
+        return passed;
+    }
+
+    /**
+     * Get a readable message for a schedule's missed trigger, or null if there is none
+     * @param {Object} schedule - Schedule object
+     */
+    function describeMissed(schedule) {
+        const missed = schedule.missed;
+        if (!missed) {
+            return null;
+        }
+
+        const when = new Date(missed.scheduledAt).toLocaleString(undefined, {
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        const earlier = missed.count > 1 ? ` (${missed.count - 1} earlier also missed)` : '';
+        if (missed.firedLate) {
+            const minutes = Math.floor(missed.lateSeconds / 60);
+            const lateText = minutes > 0 ? `${minutes} min ${missed.lateSeconds % 60} s` : `${missed.lateSeconds} s`;
+            return `${schedule.trackName} (${when}) played ${lateText} late${earlier}`;
+        }
+        return `${schedule.trackName} (${when}) did not play - the page wasn't running${earlier}`;
+    }
+
+    /**
+     * Clear the missed-trigger notice of a schedule
+     * @param {string} scheduleId - Schedule ID
+     */
+    function dismissMissed(scheduleId) {
+        const schedule = schedules.find(s => s.id === scheduleId);
+        if (schedule) {
+            schedule.missed = null;
+            saveSchedules();
+        }
+    }
+
+    /**
+     * Pick the track for a firing (pool schedules) and trigger it
+     * @param {Object} schedule - Schedule to trigger
+     * @param {boolean} advance - Whether a pool's rotation moves on
+     * @param {string} conflictPolicy - How to handle a schedule that is still playing ('preempt', 'queue'
+     *     or 'skip'); defaults to the schedule's own policy, e.g. 'preempt' when triggered by hand
+     */
+    async function triggerScheduleFiring(schedule, advance, conflictPolicy) {
+        const policy = conflictPolicy || schedule.conflictPolicy || 'preempt';
+        // Check before picking, so a skipped firing doesn't use up a pool track
+        if (isSessionRunning() && policy === 'skip') {
+            showNotification(`Skipped ${schedule.trackName}: ${activeSession.schedule.trackName} is still playing`);
+            return;
+        }
+
+        let firing;
+        try {
+            firing = await resolvePoolTrack(schedule, advance);
+        } catch (error) {
+            logger.error('Error picking pool track:', error);
+            showNotification(`Error: ${error.message}`, true);
+            return;
+        }
+
+        if (isSessionRunning()) {
+            const running = activeSession.schedule;
+            if (policy === 'queue') {
+                playbackQueue.push({ schedule: firing, queuedAt: clock.now() });
+                saveSession();
+                showNotification(`Queued ${firing.trackName} until ${running.trackName} finishes`);
+                return;
+            }
+            logger.log(`Schedule ${firing.trackName} takes over from ${running.trackName}`);
+        }
+        await triggerSchedule(firing);
+    }
+
+    /**
+     * Take the next queued schedule that hasn't waited too long
+     * @returns {Object|null} Schedule to play next
+     */
+    function takeQueued() {
+        while (playbackQueue.length > 0) {
+            const entry = playbackQueue.shift();
+            saveSession();
+            if (clock.now() - entry.queuedAt <= MAX_QUEUE_WAIT_MS) {
+                return entry.schedule;
+            }
+            showNotification(`Skipped ${entry.schedule.trackName}: waited too long for the previous schedule to finish`, true);
+        }
+        return null;
+    }
+
+    /**
+     * Remove a schedule's queued firings
+     * @param {string} scheduleId - Schedule ID
+     */
+    function dropQueued(scheduleId) {
+        playbackQueue = playbackQueue.filter(entry => entry.schedule.id !== scheduleId);
+        saveSession();
+    }
+
+    /**
+     * Move a playback session to a new state and report the transition.
+     * Every transition stops watching the playback state; 'waiting' and 'playing' watch it again.
+     * @param {Object} session - Playback session
+     * @param {string} state - 'starting', 'waiting', 'playing', 'stopping', 'announcing', 'restoring' or 'done'
+     * @param {string} reason - Why the session moved on, if not simply the next step
+     */
+    function transition(session, state, reason) {
+        const from = session.state;
+        if (from === state || from === 'done') {
+            return;
+        }
+        session.state = state;
+        if (session.unwatch) {
+            session.unwatch();
+            session.unwatch = null;
+        }
+        saveSession();
+
+        logger.log(`Playback of ${session.schedule.trackName}: ${from || 'new'} → ${state}${reason ? ` (${reason})` : ''}`);
+        const change = { schedule: session.schedule, from, to: state, reason: reason || null };
+        sessionListeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                logger.error('Error in playback session listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Listen for playback session transitions
+     * @param {Function} listener - Called with { schedule, from, to, reason }
+     * @returns {Function} Call to stop listening
+     */
+    function onSessionTransition(listener) {
+        sessionListeners.push(listener);
+        return () => {
+            sessionListeners = sessionListeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Whether a schedule is starting, waiting, playing, stopping or announcing, so others have to wait or take over
+     */
+    function isSessionRunning() {
+        return Boolean(activeSession) &&
+            ['starting', 'waiting', 'playing', 'stopping', 'announcing'].includes(activeSession.state);
+    }
+
+    /**
+     * Save the running playback session, the queue and the state to restore,
+     * so a reload can pick them up (see resumeSession)
+     */
+    function saveSession() {
+        const running = activeSession && activeSession.state !== 'done';
+        if (!running && playbackQueue.length === 0) {
+            storage.removeItem(SESSION_KEY);
+            return;
+        }
+        storage.setItem(SESSION_KEY, JSON.stringify({
+            schedule: running ? activeSession.schedule : null,
+            state: running ? activeSession.state : null,
+            startTime: running ? activeSession.startTime : null,
+            deviceId: running ? activeSession.deviceId : null,
+            queued: running ? activeSession.queued : false,
+            waitUntil: running ? activeSession.waitUntil : null,
+            previousPlaybackState: previousPlaybackState,
+            queue: playbackQueue
+        }));
+    }
+
+    /**
+     * Read the saved playback session
+     * @returns {Object|null} { schedule, state, startTime, previousPlaybackState, queue }
+     */
+    function readSavedSession() {
+        try {
+            return JSON.parse(storage.getItem(SESSION_KEY));
+        } catch (error) {
+            logger.error('Error loading playback session:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Continue a playback session that was running when the page was closed or reloaded:
+     * keep monitoring it, or finish its stop/restore if its end has already passed
+     */
+    function resumeSession() {
+        if (activeSession) {
+            return;
+        }
+
+        const saved = readSavedSession();
+        if (!saved || !saved.schedule) {
+            storage.removeItem(SESSION_KEY);
+            return;
+        }
+
+        const schedule = saved.schedule;
+        const startTime = saved.startTime || clock.now();
+        const lengthMs = hasDurationLimit(schedule)
+            ? schedule.playbackDuration * 1000
+            : getMonitorLimitSeconds(schedule) * 1000;
+        if (clock.now() - (startTime + lengthMs) > MAX_RESUME_LATE_MS) {
+            // Too long ago - restoring now would interrupt whatever is playing
+            logger.log(`Dropping playback session of ${schedule.trackName} from ${new Date(startTime).toLocaleString()}`);
+            storage.removeItem(SESSION_KEY);
+            return;
+        }
+
+        previousPlaybackState = saved.previousPlaybackState || null;
+        playbackQueue = saved.queue || [];
+        const session = {
+            schedule, state: null, startTime, deviceId: saved.deviceId || null, unwatch: null, busy: false,
+            queued: Boolean(saved.queued), waitUntil: saved.waitUntil || null
+        };
+        activeSession = session;
+
+        const fail = error => logger.error('Error resuming playback session:', error);
+        if (saved.state === 'waiting') {
+            transition(session, 'waiting', 'resumed');
+            watchSession(session);
+        } else if (saved.state === 'playing') {
+            transition(session, 'playing', 'resumed');
+            watchSession(session);
+        } else if (saved.state === 'stopping') {
+            const fadeOutMs = Math.min((schedule.fadeOutSeconds || 0) * 1000, lengthMs);
+            stopSession(session, startTime + lengthMs, fadeOutMs).catch(fail);
+        } else {
+            if (saved.state === 'announcing') {
+                // Don't repeat an announcement that was cut off
+                transition(session, 'announcing', 'resumed');
+            }
+            // Interrupted while starting, announcing or restoring - finish by restoring
+            finishSession(session, true, 'resumed').catch(fail);
+        }
+    }
+
+    /**
+     * Trigger a scheduled playback. Starts a new playback session, replacing the running one.
+     * @param {Object} schedule - Schedule to trigger
+     */
+    async function triggerSchedule(schedule) {
+        const previous = activeSession;
+        const session = {
+            schedule, state: null, startTime: null, deviceId: null, unwatch: null, busy: false,
+            queued: false, waitUntil: null
+        };
+        // A schedule that takes over from another one (or follows it from the queue) keeps the
+        // state saved before the first, so restoring never returns to scheduled music. That
+        // includes one that is still restoring: the saved state is kept until the restore is done.
+        const continuesRun = Boolean(previous);
+        activeSession = session;
+        stopFallbackSound();
+        cancelAnnouncement();
+        if (previous) {
+            if (previous.state === 'waiting') {
+                // Spotify can't take a track out of the queue, so the user has to skip it
+                showNotification(`${previous.schedule.trackName} gave way to ${schedule.trackName} but stays in the Spotify queue - skip it when it comes up`, true);
+            }
+            transition(previous, 'done', `replaced by ${schedule.trackName}`);
+        }
+        transition(session, 'starting');
+
+        try {
+            logger.log(`Triggering schedule: ${schedule.trackName} at ${schedule.time}`);
+
+            // Store current playback state
+            if (!continuesRun) {
+                const state = await playbackStore.getState();
+                // Remember when it was read, so the position can be corrected on restore
+                previousPlaybackState = state ? { ...state, capturedAt: clock.now() } : null;
+                saveSession();
+            }
+
+            const announcement = schedule.announcement;
+            if (announcement && announcement.position === 'instead') {
+                await announceInstead(session);
+                return;
+            }
+
+            const device = await pickDevice(schedule);
+            const deviceId = device ? device.id : null;
+            session.deviceId = deviceId;
+
+            if (schedule.startMode === 'after-current') {
+                // Only the user's own music is worth waiting for, and only on the device it plays on
+                const current = previousPlaybackState;
+                if (!continuesRun && current?.is_playing && current.item && (!device || device.id === current.device?.id)) {
+                    await queueSchedule(session);
+                    return;
+                }
+                logger.log(`Nothing to wait for, playing ${schedule.trackName} right away`);
+            }
+
+            if (announcement && announcement.position === 'before') {
+                // Spoken over the previous music (ducked or paused), before the scheduled music starts
+                await announceOverPlayback(announcement);
+                if (session.state !== 'starting') {
+                    // Another schedule took over while announcing
+                    return;
+                }
+            }
+
+            // Pause current playback
+            await pausePreviousPlayback();
+
+            // Wait a moment for pause to take effect
+            await sleep(500);
+
+            if (device && !device.is_active) {
+                // Make the device active, so it takes the volume before playback starts
+                await player.transferPlayback(deviceId, false);
+            }
+
+            // Set volume - start silent when fading in
+            cancelFades();
+            const fadeInMs = (schedule.fadeInSeconds || 0) * 1000;
+            await player.setVolume(fadeInMs > 0 ? 0 : schedule.volume, deviceId);
+
+            if (schedule.contextUri) {
+                // Play the scheduled playlist/album/artist, optionally from a chosen track
+                await player.setShuffle(schedule.shuffle, deviceId);
+                await player.play({
+                    deviceId: deviceId,
+                    contextUri: schedule.contextUri,
+                    offset: schedule.trackUri ? { uri: schedule.trackUri } : undefined,
+                    positionMs: (schedule.startPosition || 0) * 1000
+                });
+            } else {
+                // Play the scheduled track
+                await player.play({
+                    deviceId: deviceId,
+                    uris: [schedule.trackUri],
+                    positionMs: (schedule.startPosition || 0) * 1000
+                });
+            }
+
+            if (session.state !== 'starting') {
+                // Another schedule took over while this one was starting
+                return;
+            }
+            beginPlaying(session, device, clock.now());
+
+        } catch (error) {
+            logger.error('Error triggering schedule:', error);
+            showNotification(`Error: ${describePlayerError(error)}`, true);
+            const replaced = activeSession !== session;
+            await finishSession(session, false, error.message);
+            // Unless another schedule took over (or followed from the queue) in the meantime
+            if (!replaced && !activeSession) {
+                await playFallbackSound(schedule);
+            }
+        }
+    }
+
+    /**
+     * Move a session whose music has started to 'playing' and start monitoring it
+     * @param {Object} session - Playback session
+     * @param {Object} device - Device picked for the schedule, or null for the active one
+     * @param {number} startTime - When the scheduled music started
+     */
+    function beginPlaying(session, device, startTime) {
+        const schedule = session.schedule;
+        session.startTime = startTime;
+        saveSession();
+
+        const fadeInMs = (schedule.fadeInSeconds || 0) * 1000;
+        if (fadeInMs > 0) {
+            rampVolume(0, schedule.volume, startTime + fadeInMs, session.deviceId)
+                .catch(error => logger.error('Error fading in:', error));
+        }
+
+        // Show notification
+        const fallback = device && device.id !== schedule.devices[0].id && device.name !== schedule.devices[0].name;
+        showNotification(`Now playing: ${schedule.trackName}` +
+            (fallback ? ` on ${device.name} (${schedule.devices[0].name} is not available)` : ''));
+
+        transition(session, 'playing');
+        watchSession(session);
+    }
+
+    /**
+     * Add a schedule's track to the queue, so it plays once the current track ends,
+     * and wait for it to start. A 'before' announcement is spoken over the lowered
+     * music, since pausing it would cut off the track the schedule waits for.
+     * @param {Object} session - Playback session in the 'starting' state
+     */
+    async function queueSchedule(session) {
+        const schedule = session.schedule;
+        const announcement = schedule.announcement;
+        if (announcement && announcement.position === 'before') {
+            await announceOverPlayback({ ...announcement, duck: true });
+        }
+        if (session.state !== 'starting') {
+            return;
+        }
+
+        await player.addToQueue(schedule.trackUri, session.deviceId || undefined);
+        if (session.state !== 'starting') {
+            return;
+        }
+
+        const current = previousPlaybackState;
+        const remainingMs = Math.max(0, (current.item.duration_ms || 0) - (current.progress_ms || 0));
+        session.queued = true;
+        session.waitUntil = clock.now() + remainingMs + QUEUED_START_TIMEOUT_MS;
+        transition(session, 'waiting');
+        showNotification(`${schedule.trackName} plays after the current track`);
+        watchSession(session);
+    }
+
+    /**
+     * Check whether a queued track has started, and start monitoring it when it has
+     * @param {Object} session - Playback session in the 'waiting' state
+     * @param {Object} currentState - Latest playback state
+     */
+    async function pollWaiting(session, currentState) {
+        const schedule = session.schedule;
+        if (isPlayingSchedule(schedule, currentState)) {
+            // Set the schedule's volume only now, the track before it keeps its own
+            const fadeInMs = (schedule.fadeInSeconds || 0) * 1000;
+            cancelFades();
+            await player.setVolume(fadeInMs > 0 ? 0 : schedule.volume, session.deviceId);
+            if (session.state === 'waiting') {
+                beginPlaying(session, null, clock.now() - (currentState.progress_ms || 0));
+            }
+        } else if (clock.now() > session.waitUntil) {
+            showNotification(`${schedule.trackName} was queued but never started - it may still be in the Spotify queue`, true);
+            await finishSession(session, false, 'queued track never started');
+        }
+    }
+
+    /**
+     * Speak a schedule's announcement in place of its music, then end the session
+     * @param {Object} session - Playback session in the 'starting' state
+     */
+    async function announceInstead(session) {
+        const announcement = session.schedule.announcement;
+        transition(session, 'announcing');
+        await announceOverPlayback(announcement);
+        if (announcement.duck) {
+            // Playback was never paused, so there is nothing to restore
+            await finishSession(session, false, 'announced');
+        } else {
+            await finishSession(session, true, 'announced');
+        }
+    }
+
+    /**
+     * Speak an announcement while music may be playing, ducking or pausing it first.
+     * Ducked music goes back to its volume afterwards; paused music stays paused.
+     * @param {Object} announcement - Schedule's announcement
+     */
+    async function announceOverPlayback(announcement) {
+        const playbackState = announcement.duck ? await playbackStore.getState() : null;
+        const volume = playbackState?.device?.volume_percent;
+        const duck = announcement.duck && playbackState?.is_playing && Number.isFinite(volume);
+        if (duck) {
+            await player.setVolume(Math.round(volume * DUCK_VOLUME_RATIO), playbackState.device.id);
+        } else {
+            await pausePreviousPlayback();
+        }
+
+        try {
+            await speak(announcement);
+        } finally {
+            if (duck) {
+                await player.setVolume(volume, playbackState.device.id);
+            }
+        }
+    }
+
+    /**
+     * Speak an announcement, reporting rather than throwing if it can't be spoken
+     * @param {Object} announcement - Schedule's announcement
+     */
+    async function speak(announcement) {
+        if (!announcer) {
+            logger.warn(`Can't speak announcements here, skipping "${announcement.text}"`);
+            return;
+        }
+        try {
+            await announcer.speak(announcement.text, {
+                voice: announcement.voice,
+                lang: announcement.lang,
+                rate: announcement.rate
+            });
+        } catch (error) {
+            logger.error('Error speaking announcement:', error);
+            showNotification(`The announcement couldn't be spoken: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Stop an announcement that is being spoken
+     */
+    function cancelAnnouncement() {
+        if (announcer) {
+            announcer.cancel();
+        }
+    }
+
+    /**
+     * Pause the music that was playing before the schedule and note when, since it
+     * stopped moving on then. Only the first pause of a run of schedules counts.
+     */
+    async function pausePreviousPlayback() {
+        await pauseQuietly();
+        if (previousPlaybackState && !previousPlaybackState.pausedAt) {
+            previousPlaybackState.pausedAt = clock.now();
+        }
+    }
+
+    /**
+     * Pause playback, ignoring the error Spotify returns when nothing is playing
+     * @param {string} deviceId - Device to pause, or the active one if omitted
+     */
+    async function pauseQuietly(deviceId) {
+        try {
+            await player.pause(deviceId);
+        } catch {
+            // Ignore if nothing is playing
+        }
+    }
+
+    /**
+     * Explain a failed Spotify request in terms of what the user can do about it
+     * @param {Error} error - Error from the player, with status and reason if it came from Spotify
+     * @returns {string} Message to show
+     */
+    function describePlayerError(error) {
+        if (error.reason === 'NO_ACTIVE_DEVICE' || error.status === 404) {
+            return 'No Spotify device is active. Open Spotify and play something, or pick a device for this schedule.';
+        }
+        if (error.reason === 'PREMIUM_REQUIRED') {
+            return 'Controlling playback needs Spotify Premium.';
+        }
+        if (error.status === 429) {
+            return 'Spotify is limiting requests' + (error.retryAfter ? `, try again in ${error.retryAfter} seconds.` : '.');
+        }
+        if (error.status === 0) {
+            return `Spotify can't be reached (${error.message}).`;
+        }
+        return error.message;
+    }
+
+    /**
+     * Play a schedule's fallback sound in place of Spotify, so the schedule is still heard
+     * @param {Object} schedule - Schedule that failed to play
+     */
+    async function playFallbackSound(schedule) {
+        if (!schedule.fallbackSound || !fallbackAudio) {
+            return;
+        }
+        try {
+            await fallbackAudio.play(schedule.fallbackSound, {
+                volume: schedule.volume,
+                durationMs: schedule.playbackDuration ? schedule.playbackDuration * 1000 : null
+            });
+            showNotification(`Playing the fallback sound for ${schedule.trackName} instead`);
+        } catch (error) {
+            logger.error('Error playing fallback sound:', error);
+            showNotification(`The fallback sound didn't play either: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Stop a fallback sound that is playing
+     */
+    function stopFallbackSound() {
+        if (fallbackAudio) {
+            fallbackAudio.stop();
+        }
+    }
+
+    /**
+     * Follow the playback state while a session is waiting or playing
+     * @param {Object} session - Playback session
+     */
+    function watchSession(session) {
+        const since = clock.now();
+        session.unwatch = playbackStore.subscribe((state, fetchedAt) => {
+            // A state requested before now may still show what played before the schedule
+            if (fetchedAt >= since) {
+                checkSession(session, state);
+            }
+        }, { intervalMs: SESSION_POLL_MS });
+    }
+
+    /**
+     * Check a session against a new playback state. Skips the check while the previous one is still busy.
+     * @param {Object} session - Playback session
+     * @param {Object} currentState - Latest playback state
+     */
+    async function checkSession(session, currentState) {
+        if (session.busy || (session.state !== 'playing' && session.state !== 'waiting')) {
+            return;
+        }
+
+        session.busy = true;
+        try {
+            if (session.state === 'waiting') {
+                await pollWaiting(session, currentState);
+            } else {
+                await pollSession(session, currentState);
+            }
+        } catch (error) {
+            if (error.status === 429) {
+                // Still rate limited after backing off - keep the session and try again on the next poll
+                logger.warn('Rate limited while monitoring playback, retrying');
+                return;
+            }
+            logger.error('Error monitoring playback:', error);
+            await finishSession(session, false, error.message);
+        } finally {
+            session.busy = false;
+        }
+    }
+
+    /**
+     * Decide whether a playing session has to stop, ended by itself or was taken over by the user
+     * @param {Object} session - Playback session
+     * @param {Object} currentState - Latest playback state
+     */
+    async function pollSession(session, currentState) {
+        const schedule = session.schedule;
+        const elapsed = clock.now() - session.startTime;
+
+        if (hasDurationLimit(schedule)) {
+            // The duration counts from the start position, so playback stops at
+            // startPosition + playbackDuration. Fading out starts early so the
+            // volume reaches 0 exactly at the end of the duration.
+            const targetDuration = schedule.playbackDuration * 1000;
+            const fadeOutMs = Math.min((schedule.fadeOutSeconds || 0) * 1000, targetDuration);
+            if (elapsed >= targetDuration - fadeOutMs) {
+                await stopSession(session, session.startTime + targetDuration, fadeOutMs);
+                return;
+            }
+        } else if (elapsed > getMonitorLimitSeconds(schedule) * 1000) {
+            await finishSession(session, false, 'stopped monitoring');
+            return;
+        }
+
+        if (!currentState || !currentState.is_playing) {
+            await finishSession(session, true, 'playback ended');
+            return;
+        }
+
+        if (!isPlayingSchedule(schedule, currentState) && session.queued && schedule.trackDuration &&
+            elapsed >= schedule.trackDuration * 1000 - QUEUED_END_MARGIN_MS) {
+            // The queue moved on to the user's music between two polls
+            await finishSession(session, true, 'track ended');
+            return;
+        }
+
+        if (!isPlayingSchedule(schedule, currentState)) {
+            // User changed the track, don't interfere
+            cancelFades();
+            await finishSession(session, false, 'changed by user');
+            return;
+        }
+
+        // Check if track has ended (progress near duration).
+        // A context moves on to its next track instead, so it ends when playback stops.
+        if (!schedule.contextUri && currentState.item &&
+            currentState.progress_ms >= currentState.item.duration_ms - 1000) {
+            await finishSession(session, true, 'track ended');
+        }
+    }
+
+    /**
+     * Stop a session at the end of its playback duration, fading out first
+     * @param {Object} session - Playback session
+     * @param {number} endTime - Timestamp at which playback stops
+     * @param {number} fadeOutMs - Length of the fade out
+     */
+    async function stopSession(session, endTime, fadeOutMs) {
+        const schedule = session.schedule;
+        transition(session, 'stopping', 'duration reached');
+
+        let currentState = await playbackStore.getState();
+        if (fadeOutMs > 0 && isPlayingSchedule(schedule, currentState)) {
+            const completed = await rampVolume(schedule.volume, 0, endTime, session.deviceId);
+            if (!completed || session.state !== 'stopping') {
+                // Another schedule took over playback
+                return;
+            }
+            currentState = await playbackStore.getState();
+        }
+        if (session.state !== 'stopping') {
+            return;
+        }
+
+        // Only pause/restore if still playing the scheduled track
+        const stillPlaying = isPlayingSchedule(schedule, currentState);
+        if (stillPlaying && session.queued && schedule.restorePlayback) {
+            // The user's music is next in the queue, so skip ahead to it rather than pausing
+            await player.next();
+            if (fadeOutMs > 0) {
+                await player.setVolume(previousPlaybackState?.device?.volume_percent ?? schedule.volume, session.deviceId);
+            }
+            await sleep(1000);
+        } else if (stillPlaying) {
+            await player.pause(session.deviceId);
+            if (fadeOutMs > 0) {
+                // Don't leave the device muted after the fade
+                await player.setVolume(schedule.volume, session.deviceId);
+            }
+            await sleep(1000);
+        }
 
-    /**
-     * Save schedules to localStorage
-     */
-    function saveSchedules() {
-        localStorage.setItem(SCHEDULES_KEY, JSON.stringify(schedules));
+        await finishSession(session, stillPlaying, 'duration reached');
     }
 
     /**
-     * Add a new schedule
-     * @param {Object} schedule - Schedule object
-     * @param {string} schedule.time - Time in HH:MM format
-     * @param {string} schedule.trackUri - Spotify track URI
-     * @param {string} schedule.trackName - Track name for display
-     * @param {string} schedule.artistName - Artist name for display
-     * @param {number} schedule.volume - Volume level (0-100)
-     * @param {boolean} schedule.restorePlayback - Whether to restore previous playback after song ends
-     * @param {boolean} schedule.repeat - Whether to repeat daily
-     * @param {number} schedule.playbackDuration - Duration to play in seconds
-     * @param {number} schedule.trackDuration - Full track duration in seconds
+     * End a playback session. Plays the next queued schedule if there is one,
+     * otherwise restores what was playing before the first schedule of the run.
+     * @param {Object} session - Playback session
+     * @param {boolean} restore - Whether the previous playback may be restored
+     * @param {string} reason - Why the session ended
      */
-    function addSchedule(schedule) {
-        const newSchedule = {
-            id: Date.now().toString(),
-            time: schedule.time,
-            trackUri: schedule.trackUri,
-            trackName: schedule.trackName || 'Unknown Track',
-            artistName: schedule.artistName || 'Unknown Artist',
-            volume: schedule.volume || 50,
-            restorePlayback: schedule.restorePlayback || false,
-            repeat: schedule.repeat !== false, // Default to repeat daily
-            triggered: false,
-            enabled: true,
-            playbackDuration: schedule.playbackDuration || null,
-            trackDuration: schedule.trackDuration || null
-        };
-        schedules.push(newSchedule);
-        saveSchedules();
-        return newSchedule;
+    async function finishSession(session, restore, reason) {
+        if (session !== activeSession || session.state === 'done' || session.state === 'restoring') {
+            // Another schedule took over playback, or the session is already ending
+            return;
+        }
+
+        const announcement = session.schedule.announcement;
+        if (restore && announcement && announcement.position === 'after' && session.state !== 'announcing') {
+            // The music ended by itself or at the end of its duration - announce before moving on
+            transition(session, 'announcing', reason);
+            if (session.queued) {
+                // The user's music is already playing again after a queued track
+                await announceOverPlayback({ ...announcement, duck: true });
+            } else {
+                await pauseQuietly(session.deviceId);
+                await speak(announcement);
+            }
+            if (session !== activeSession || session.state !== 'announcing') {
+                // Another schedule took over while announcing
+                return;
+            }
+        }
+
+        const next = takeQueued();
+        if (next) {
+            transition(session, 'done', reason);
+            await triggerSchedule(next);
+            return;
+        }
+
+        // Kept until the restore is done, so a schedule that takes over meanwhile continues the run
+        const savedState = previousPlaybackState;
+        if (restore && savedState && session.queued) {
+            // The user's music carries on after a queued track by itself, at the schedule's volume
+            if (session.schedule.restorePlayback && Number.isFinite(savedState.device?.volume_percent)) {
+                transition(session, 'restoring', reason);
+                try {
+                    await player.setVolume(savedState.device.volume_percent, session.deviceId);
+                } catch (error) {
+                    logger.error('Error restoring volume:', error);
+                }
+            }
+        } else if (restore && savedState) {
+            const originalDeviceId = savedState.device?.id;
+            const movedDevice = Boolean(session.deviceId) && Boolean(originalDeviceId) && originalDeviceId !== session.deviceId;
+            if (session.schedule.restorePlayback) {
+                transition(session, 'restoring', reason);
+                await restorePreviousPlayback(savedState, movedDevice, session);
+            } else if (movedDevice) {
+                // Hand the original device back, without starting playback on it
+                transition(session, 'restoring', reason);
+                try {
+                    await player.transferPlayback(originalDeviceId, false);
+                } catch (error) {
+                    logger.error('Error returning to the original device:', error);
+                }
+            }
+        }
+
+        if (activeSession !== session) {
+            // Another schedule took over while restoring and now owns the saved state
+            transition(session, 'done', reason);
+            return;
+        }
+        previousPlaybackState = null;
+        activeSession = null;
+        transition(session, 'done', reason);
     }
 
     /**
-     * Remove a schedule by ID
-     * @param {string} scheduleId - Schedule ID
+     * Ramp the volume in steps so that it reaches the target at a given time.
+     * Steps wait for absolute times, so slow requests don't stretch the fade.
+     * @param {number} from - Start volume (0-100)
+     * @param {number} to - Target volume (0-100)
+     * @param {number} endTime - Timestamp at which the target volume is reached
+     * @param {string} deviceId - Device to fade, or null for the active device
+     * @returns {boolean} false if the fade was cancelled
      */
-    function removeSchedule(scheduleId) {
-        schedules = schedules.filter(s => s.id !== scheduleId);
-        saveSchedules();
+    async function rampVolume(from, to, endTime, deviceId) {
+        const generation = fadeGeneration;
+        const startTime = clock.now();
+        const durationMs = Math.max(0, endTime - startTime);
+        const steps = Math.max(1, Math.min(Math.round(durationMs / FADE_MIN_STEP_MS), Math.abs(to - from)));
+
+        for (let step = 1; step <= steps; step++) {
+            const stepTime = startTime + (durationMs * step) / steps;
+            const wait = stepTime - clock.now();
+            if (wait > 0) {
+                await sleep(wait);
+            }
+            if (generation !== fadeGeneration) {
+                return false;
+            }
+            await player.setVolume(Math.round(from + ((to - from) * step) / steps), deviceId);
+        }
+        return true;
     }
 
     /**
-     * Toggle schedule enabled state
-     * @param {string} scheduleId - Schedule ID
+     * Stop any volume fade that is in progress
      */
-    function toggleSchedule(scheduleId) {
-        const schedule = schedules.find(s => s.id === scheduleId);
-        if (schedule) {
-            schedule.enabled = !schedule.enabled;
-            saveSchedules();
-        }
+    function cancelFades() {
+        fadeGeneration++;
     }
 
     /**
-     * Get all schedules
+     * Check whether a playback state is still playing what a schedule started
+     * @param {Object} schedule - The triggered schedule
+     * @param {Object} state - Playback state from getPlaybackState
      */
-    function getSchedules() {
-        return [...schedules];
+    function isPlayingSchedule(schedule, state) {
+        if (!state) {
+            return false;
+        }
+        if (schedule.contextUri) {
+            return state.context?.uri === schedule.contextUri;
+        }
+        return state.item?.uri === schedule.trackUri;
     }
 
     /**
-     * Start checking for scheduled times
+     * Whether playback should be stopped before the track or context ends by itself
+     * @param {Object} schedule - Schedule object
      */
-    function startChecking() {
-        if (checkInterval) {
-            clearInterval(checkInterval);
+    function hasDurationLimit(schedule) {
+        if (!schedule.playbackDuration) {
+            return false;
         }
-        // Check every second for precise timing at schedule time
-        checkInterval = setInterval(checkSchedules, SCHEDULE_CHECK_INTERVAL_MS);
+        if (schedule.trackDuration) {
+            return schedule.playbackDuration < schedule.trackDuration - (schedule.startPosition || 0);
+        }
+        // Contexts of unknown length always stop at the chosen duration
+        return Boolean(schedule.contextUri);
     }
 
     /**
-     * Stop checking for scheduled times
+     * How many seconds to keep monitoring playback that isn't stopped by a duration limit
+     * @param {Object} schedule - Schedule object
      */
-    function stopChecking() {
-        if (checkInterval) {
-            clearInterval(checkInterval);
-            checkInterval = null;
+    function getMonitorLimitSeconds(schedule) {
+        if (!schedule.contextUri) {
+            return MAX_TRACK_MONITOR_SECONDS;
         }
+        return schedule.trackDuration ? schedule.trackDuration + 60 : MAX_CONTEXT_MONITOR_SECONDS;
     }
 
     /**
-     * Check if any schedules should be triggered
+     * How long a schedule plays for
+     * @param {Object} schedule - Schedule object
+     * @returns {number} Length in seconds, 0 if unknown
      */
-    async function checkSchedules() {
-        const now = new Date();
-        const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-        const currentSeconds = now.getSeconds();
-
-        for (const schedule of schedules) {
-            // Only trigger at the start of the minute (within first 2 seconds)
-            if (schedule.enabled && !schedule.triggered && schedule.time === currentTime && currentSeconds < 2) {
-                await triggerSchedule(schedule);
-            }
+    function getPlaybackLength(schedule) {
+        if (schedule.playbackDuration) {
+            return schedule.playbackDuration;
+        }
+        if (schedule.trackDuration) {
+            return schedule.trackDuration - (schedule.startPosition || 0);
+        }
+        if (schedule.pool) {
+            // Any pool track may be picked, so assume the longest
+            return Math.max(0, ...schedule.pool.tracks.map(t => (t.duration || 0) - (schedule.startPosition || 0)));
         }
+        return 0;
     }
 
     /**
-     * Trigger a scheduled playback
-     * @param {Object} schedule - Schedule to trigger
+     * Find enabled schedules whose playback overlaps in the coming weeks
+     * @returns {Object} Map of schedule ID to the schedules it overlaps with
      */
-    async function triggerSchedule(schedule) {
-        try {
-            console.log(`Triggering schedule: ${schedule.trackName} at ${schedule.time}`);
-
-            // Store current playback state if restore is enabled
-            let savedPlaybackState = null;
-            if (schedule.restorePlayback) {
-                savedPlaybackState = await SpotifyAPI.getPlaybackState();
-                previousPlaybackState = savedPlaybackState; // Keep for module-level access
+    function getOverlaps() {
+        const now = currentDate();
+        const horizon = now.getTime() + OVERLAP_LOOKAHEAD_DAYS * MS_PER_DAY;
+        const windows = schedules.filter(s => s.enabled).map(schedule => {
+            const starts = [];
+            let next = getNextOccurrence(schedule, now);
+            while (next && next.getTime() <= horizon) {
+                starts.push(next.getTime());
+                next = getNextOccurrence(schedule, next);
             }
+            return { schedule, starts, length: getPlaybackLength(schedule) * 1000 };
+        });
 
-            // Pause current playback
-            try {
-                await SpotifyAPI.pause();
-            } catch {
-                // Ignore if nothing is playing
-            }
-
-            // Wait a moment for pause to take effect
-            await new Promise(resolve => setTimeout(resolve, 500));
-
-            // Set volume
-            await SpotifyAPI.setVolume(schedule.volume);
-
-            // Play the scheduled track
-            await SpotifyAPI.play({
-                uris: [schedule.trackUri]
+        const overlaps = {};
+        windows.forEach((a, i) => {
+            windows.slice(i + 1).forEach(b => {
+                const overlapping = a.starts.some(aStart => b.starts.some(bStart =>
+                    aStart === bStart || (aStart < bStart + b.length && bStart < aStart + a.length)));
+                if (overlapping) {
+                    (overlaps[a.schedule.id] = overlaps[a.schedule.id] || []).push(b.schedule);
+                    (overlaps[b.schedule.id] = overlaps[b.schedule.id] || []).push(a.schedule);
+                }
             });
+        });
+        return overlaps;
+    }
 
-            // Mark as triggered and active
-            schedule.triggered = true;
-            schedule.lastTriggeredDate = new Date().toDateString();
-            saveSchedules();
-            
-            // Set as active schedule
-            activeSchedule = schedule;
-            activeScheduleStartTime = Date.now();
-
-            // Show notification
-            showNotification(`Now playing: ${schedule.trackName}`);
-
-            // If playback duration is set and less than full track, monitor and stop
-            if (schedule.playbackDuration && schedule.trackDuration && schedule.playbackDuration < schedule.trackDuration) {
-                monitorPlaybackDuration(schedule, savedPlaybackState);
-            } else if (schedule.restorePlayback && savedPlaybackState) {
-                // If restore is enabled and playing full track, monitor for track end
-                monitorTrackEnd(schedule, savedPlaybackState);
-            } else {
-                // No restore needed, but still monitor to clear active state
-                monitorForCompletion(schedule);
-            }
+    /**
+     * Find the first of a schedule's devices that is available right now
+     * @param {Object} schedule - Schedule object
+     * @returns {Object|null} Spotify device, or null if the schedule plays on the active device
+     */
+    async function pickDevice(schedule) {
+        if (!schedule.devices || schedule.devices.length === 0) {
+            return null;
+        }
 
-        } catch (error) {
-            console.error('Error triggering schedule:', error);
-            showNotification(`Error: ${error.message}`, true);
-            activeSchedule = null;
-            activeScheduleStartTime = null;
+        const device = findScheduleDevice(schedule, await player.getDevices());
+        if (device) {
+            return device;
         }
+        throw new Error(`None of the devices for ${schedule.trackName} are available (${schedule.devices.map(d => d.name).join(', ')})`);
     }
 
     /**
-     * Monitor playback and stop after specified duration
-     * @param {Object} schedule - The triggered schedule
-     * @param {Object} savedPlaybackState - The saved playback state to restore
+     * Find the first of a schedule's devices that is open and can be controlled
+     * @param {Object} schedule - Schedule with a devices list
+     * @param {Object[]} devices - Devices Spotify reports
+     * @returns {Object|null} Device to play on
      */
-    async function monitorPlaybackDuration(schedule, savedPlaybackState) {
-        const targetDuration = schedule.playbackDuration * 1000; // Convert to ms
-        const startTime = Date.now();
-        
-        const checkPlayback = setInterval(async () => {
-            try {
-                const elapsed = Date.now() - startTime;
-                
-                // Stop playback when duration is reached
-                if (elapsed >= targetDuration) {
-                    clearInterval(checkPlayback);
-                    
-                    const currentState = await SpotifyAPI.getPlaybackState();
-                    
-                    // Only pause/restore if still playing the scheduled track
-                    if (currentState && currentState.item?.uri === schedule.trackUri) {
-                        await SpotifyAPI.pause();
-                        
-                        // If restore is enabled, restore previous playback
-                        if (schedule.restorePlayback && savedPlaybackState) {
-                            await new Promise(resolve => setTimeout(resolve, 1000));
-                            await restorePreviousPlayback(savedPlaybackState);
-                        }
-                    }
-                    
-                    // Clear active schedule
-                    activeSchedule = null;
-                    activeScheduleStartTime = null;
-                    return;
-                }
-                
-                // Check if user changed the track
-                const currentState = await SpotifyAPI.getPlaybackState();
-                if (!currentState || currentState.item?.uri !== schedule.trackUri) {
-                    clearInterval(checkPlayback);
-                    // User changed the track, don't interfere
-                    activeSchedule = null;
-                    activeScheduleStartTime = null;
-                    return;
-                }
-                
-            } catch (error) {
-                console.error('Error monitoring playback duration:', error);
-                clearInterval(checkPlayback);
-                activeSchedule = null;
-                activeScheduleStartTime = null;
+    function findScheduleDevice(schedule, devices) {
+        const available = devices.filter(d => !d.is_restricted);
+        for (const wanted of schedule.devices) {
+            // Some devices get a new ID when they restart, so fall back to the name
+            const device = available.find(d => d.id === wanted.id) || available.find(d => d.name === wanted.name);
+            if (device) {
+                return device;
             }
-        }, 1000);
+        }
+        return null;
     }
 
     /**
-     * Monitor for track end and restore previous playback
-     * @param {Object} schedule - The triggered schedule
-     * @param {Object} prevState - Previous playback state to restore
+     * Restore previous playback state
+     * @param {Object} prevState - Previous playback state
+     * @param {boolean} moveBack - Whether the schedule played on another device than prevState's
+     * @param {Object} session - Session doing the restore; it stops as soon as another schedule takes over
      */
-    async function monitorTrackEnd(schedule, prevState) {
-        let checkCount = 0;
+    async function restorePreviousPlayback(prevState, moveBack, session) {
+        // Checked after every request, so a schedule that fired meanwhile keeps its playback
+        const replaced = () => {
+            if (activeSession !== session) {
+                logger.log('Stopped restoring previous playback: another schedule took over');
+                return true;
+            }
+            return false;
+        };
+
+        try {
+            logger.log('Restoring previous playback...');
 
-        const checkPlayback = setInterval(async () => {
-            checkCount++;
-            if (checkCount > MAX_TRACK_MONITOR_SECONDS) {
-                clearInterval(checkPlayback);
-                activeSchedule = null;
-                activeScheduleStartTime = null;
+            // Wait a moment for the track to fully end
+            await sleep(1000);
+            if (replaced()) {
                 return;
             }
 
-            try {
-                const currentState = await SpotifyAPI.getPlaybackState();
-
-                // Check if the scheduled track is still playing
-                if (!currentState || !currentState.is_playing) {
-                    clearInterval(checkPlayback);
-                    activeSchedule = null;
-                    activeScheduleStartTime = null;
-                    await restorePreviousPlayback(prevState);
+            const deviceId = prevState.device?.id || undefined;
+            if (moveBack) {
+                await player.transferPlayback(deviceId, false);
+                if (replaced()) {
                     return;
                 }
+            }
 
-                // Check if a different track is now playing (user changed it)
-                const currentTrackUri = currentState.item?.uri;
-                if (currentTrackUri && currentTrackUri !== schedule.trackUri) {
-                    clearInterval(checkPlayback);
-                    // User changed the track, don't restore
-                    activeSchedule = null;
-                    activeScheduleStartTime = null;
+            // Restore shuffle and repeat, which a scheduled playlist/album may have changed
+            if (typeof prevState.shuffle_state === 'boolean') {
+                await player.setShuffle(prevState.shuffle_state, deviceId);
+                if (replaced()) {
                     return;
                 }
-
-                // Check if track has ended (progress near duration)
-                if (currentState.item && currentState.progress_ms >= currentState.item.duration_ms - 1000) {
-                    clearInterval(checkPlayback);
-                    activeSchedule = null;
-                    activeScheduleStartTime = null;
-                    await restorePreviousPlayback(prevState);
+            }
+            if (prevState.repeat_state) {
+                await player.setRepeat(prevState.repeat_state, deviceId);
+                if (replaced()) {
+                    return;
                 }
-
-            } catch (error) {
-                console.error('Error monitoring playback:', error);
-                activeSchedule = null;
-                activeScheduleStartTime = null;
             }
-        }, 1000);
-    }
-
-    /**
-     * Monitor for playback completion (no restore)
-     * @param {Object} schedule - The triggered schedule
-     */
-    async function monitorForCompletion(schedule) {
-        let checkCount = 0;
 
-        const checkPlayback = setInterval(async () => {
-            checkCount++;
-            if (checkCount > MAX_TRACK_MONITOR_SECONDS) {
-                clearInterval(checkPlayback);
-                activeSchedule = null;
-                activeScheduleStartTime = null;
-                return;
+            const resumePoint = getResumePoint(prevState);
+            if (resumePoint) {
+                // Playing is the only way to load a context, so do it silently if it was paused
+                if (!prevState.is_playing) {
+                    await player.setVolume(0, deviceId);
+                    if (replaced()) {
+                        return;
+                    }
+                }
+                await player.play({ deviceId: deviceId, ...resumePoint });
+                if (replaced()) {
+                    return;
+                }
+                if (!prevState.is_playing) {
+                    await sleep(500);
+                    if (replaced()) {
+                        return;
+                    }
+                    await player.pause(deviceId);
+                    if (replaced()) {
+                        return;
+                    }
+                }
             }
 
-            try {
-                const currentState = await SpotifyAPI.getPlaybackState();
-
-                // Check if track is no longer playing or changed
-                if (!currentState || !currentState.is_playing || currentState.item?.uri !== schedule.trackUri) {
-                    clearInterval(checkPlayback);
-                    activeSchedule = null;
-                    activeScheduleStartTime = null;
+            // Restore volume
+            if (Number.isFinite(prevState.device?.volume_percent)) {
+                await player.setVolume(prevState.device.volume_percent, deviceId);
+                if (replaced()) {
                     return;
                 }
-
-            } catch (error) {
-                console.error('Error monitoring playback completion:', error);
-                clearInterval(checkPlayback);
-                activeSchedule = null;
-                activeScheduleStartTime = null;
             }
-        }, 1000);
+
+            showNotification(prevState.is_playing ? 'Restored previous playback' : 'Restored previous playback (paused)');
+        } catch (error) {
+            logger.error('Error restoring playback:', error);
+            showNotification('Could not restore previous playback', true);
+        }
     }
 
     /**
-     * Restore previous playback state
-     * @param {Object} prevState - Previous playback state
+     * Work out where to pick up the previous playback: the same track of the same
+     * context, at the position it had reached when the schedule paused it
+     * @param {Object} prevState - Playback state saved before the schedule
+     * @returns {Object|null} play() options, or null if there was nothing to go back to
      */
-    async function restorePreviousPlayback(prevState) {
-        try {
-            console.log('Restoring previous playback...');
-
-            // Wait a moment for the track to fully end
-            await new Promise(resolve => setTimeout(resolve, 1000));
-
-            // Restore volume
-            if (prevState.device?.volume_percent !== undefined) {
-                await SpotifyAPI.setVolume(prevState.device.volume_percent);
-            }
+    function getResumePoint(prevState) {
+        const itemUri = prevState.item?.uri;
+        const contextUri = prevState.context?.uri;
+        if (!itemUri && !contextUri) {
+            return null;
+        }
 
-            // If there was a context (playlist/album), restore it
-            if (prevState.context?.uri) {
-                await SpotifyAPI.play({
-                    contextUri: prevState.context.uri,
-                    positionMs: prevState.progress_ms || 0,
-                });
-            } else if (prevState.item?.uri) {
-                // Otherwise, just play the previous track
-                await SpotifyAPI.play({
-                    uris: [prevState.item.uri],
-                    positionMs: prevState.progress_ms || 0,
-                });
-            }
+        let positionMs = prevState.progress_ms || 0;
+        if (prevState.is_playing && prevState.capturedAt) {
+            // It kept playing between reading the state and pausing it
+            positionMs += (prevState.pausedAt || prevState.capturedAt) - prevState.capturedAt;
+        }
+        if (prevState.item?.duration_ms) {
+            positionMs = Math.min(positionMs, Math.max(0, prevState.item.duration_ms - 1000));
+        }
 
-            showNotification('Restored previous playback');
-        } catch (error) {
-            console.error('Error restoring playback:', error);
-            showNotification('Could not restore previous playback', true);
+        if (contextUri && contextUri.startsWith('spotify:artist:')) {
+            // Spotify can't start an artist context at a specific track
+            return { contextUri };
         }
+        if (contextUri && itemUri) {
+            return { contextUri, offset: { uri: itemUri }, positionMs };
+        }
+        if (contextUri) {
+            return { contextUri };
+        }
+        return { uris: [itemUri], positionMs };
     }
 
     /**
      * Show a notification (delegated to app)
      */
     function showNotification(message, isError = false) {
-        // This will be handled by the app module
-        if (typeof App !== 'undefined' && App.showToast) {
+        if (adapters.notify) {
+            adapters.notify(message, isError);
+        } else if (typeof App !== 'undefined' && App.showToast) {
+            // This will be handled by the app module
             App.showToast(message, isError);
         } else {
-            console.log(message);
+            logger.log(message);
+        }
+    }
+
+    /**
+     * Let the app know schedules changed outside of its own actions
+     */
+    function notifySchedulesChanged() {
+        if (adapters.onSchedulesChanged) {
+            adapters.onSchedulesChanged();
+        } else if (typeof App !== 'undefined' && App.renderSchedules) {
+            App.renderSchedules();
+        }
+    }
+
+    /**
+     * Let the app know skip dates changed outside of its own actions
+     */
+    function notifySkipDatesChanged() {
+        if (adapters.onSkipDatesChanged) {
+            adapters.onSkipDatesChanged();
+        } else if (typeof App !== 'undefined' && App.renderSkipDates) {
+            App.renderSkipDates();
         }
     }
 
     /**
-     * Reset all schedules for a new day
+     * Recompute fire times for all repeating schedules from now.
+     * Not needed for day rollover - fire times advance by themselves.
      */
     function resetDailySchedules() {
+        const now = currentDate();
         schedules.forEach(s => {
-            if (s.repeat) {
-                s.triggered = false;
+            if (isRepeating(s)) {
+                updateNextFireTime(s, now);
             }
         });
         saveSchedules();
@@ -431,9 +2352,13 @@ const Scheduler = (function() {
      */
     async function triggerNow(scheduleId) {
         const schedule = schedules.find(s => s.id === scheduleId);
+        if (schedule && isLedByOtherTab()) {
+            // Its session would compete with the one the leader saves
+            throw new Error('Another tab plays the schedules - test it there, or close that tab first');
+        }
         if (schedule) {
-            schedule.triggered = false;
-            await triggerSchedule(schedule);
+            // A test play doesn't move a pool's rotation on, and always takes over playback
+            await triggerScheduleFiring(schedule, false, 'preempt');
         }
     }
 
@@ -442,25 +2367,43 @@ const Scheduler = (function() {
      * @returns {Object|null} Active schedule info or null
      */
     function getActiveScheduleStatus() {
-        if (!activeSchedule || !activeScheduleStartTime) {
+        let session = activeSession;
+        let savedState = previousPlaybackState;
+        let queue = playbackQueue;
+        if (!session && sharedStorage && !isLeader) {
+            // Show what the leader tab is playing
+            const saved = readSavedSession();
+            if (saved && saved.schedule) {
+                session = saved;
+                savedState = saved.previousPlaybackState;
+                queue = saved.queue || [];
+            }
+        }
+
+        if (!session || !session.startTime ||
+            (session.state !== 'playing' && session.state !== 'stopping')) {
             return null;
         }
 
-        const elapsed = Math.floor((Date.now() - activeScheduleStartTime) / 1000);
+        const activeSchedule = session.schedule;
+        const elapsed = Math.floor((clock.now() - session.startTime) / 1000);
         let remaining = null;
         
-        if (activeSchedule.playbackDuration && activeSchedule.trackDuration && 
-            activeSchedule.playbackDuration < activeSchedule.trackDuration) {
+        const startPosition = activeSchedule.startPosition || 0;
+        if (hasDurationLimit(activeSchedule)) {
             remaining = Math.max(0, activeSchedule.playbackDuration - elapsed);
         } else if (activeSchedule.trackDuration) {
-            remaining = Math.max(0, activeSchedule.trackDuration - elapsed);
+            remaining = Math.max(0, activeSchedule.trackDuration - startPosition - elapsed);
         }
 
         return {
             schedule: activeSchedule,
+            state: session.state,
             elapsed: elapsed,
+            position: startPosition + elapsed,
             remaining: remaining,
-            willRestore: activeSchedule.restorePlayback
+            willRestore: activeSchedule.restorePlayback && Boolean(savedState),
+            queued: queue.map(entry => entry.schedule)
         };
     }
 
@@ -468,13 +2411,258 @@ const Scheduler = (function() {
     return {
         init,
         addSchedule,
+        updateSchedule,
         removeSchedule,
         toggleSchedule,
         getSchedules,
         startChecking,
         stopChecking,
+        shutdown,
+        handleStorageChange,
+        getTimingStatus,
         resetDailySchedules,
         triggerNow,
         getActiveScheduleStatus,
+        onSessionTransition,
+        describeRecurrence,
+        getNextOccurrence,
+        getNextFireTime,
+        describeMissed,
+        getUpNextTrack,
+        getOverlaps,
+        dismissMissed,
+        addSkipDate,
+        removeSkipDate,
+        getSkipDates,
+        formatDateKey,
+        toDateKey,
+    };
+}
+
+/**
+ * Timers that run in a Web Worker (js/timer-worker.js), so they keep their pace in background tabs.
+ * Falls back to the page's timers if the worker can't run.
+ * @param {string} url - URL of the timer worker script
+ * @returns {Object|null} Timers for createScheduler, or null without Worker support
+ */
+function createWorkerTimers(url) {
+    if (typeof Worker === 'undefined') {
+        return null;
+    }
+
+    let worker;
+    try {
+        worker = new Worker(url);
+    } catch (error) {
+        console.warn('Timer worker unavailable, using page timers:', error);
+        return null;
+    }
+
+    const entries = new Map(); // Timer ID to { callback, ms, repeat, handle }
+    let nextId = 1;
+
+    /**
+     * Run a timer on the page instead of in the worker
+     */
+    function startOnPage(id, entry) {
+        entry.handle = entry.repeat
+            ? setInterval(entry.callback, entry.ms)
+            : setTimeout(() => {
+                entries.delete(id);
+                entry.callback();
+            }, entry.ms);
+    }
+
+    worker.onmessage = (e) => {
+        const entry = entries.get(e.data.id);
+        if (!entry) {
+            return;
+        }
+        if (!entry.repeat) {
+            entries.delete(e.data.id);
+        }
+        entry.callback();
+    };
+
+    worker.onerror = (e) => {
+        console.warn('Timer worker failed, using page timers:', e.message);
+        e.preventDefault();
+        worker.terminate();
+        worker = null;
+        // Timeouts restart from now, so they may run up to their full delay late
+        entries.forEach((entry, id) => startOnPage(id, entry));
+    };
+
+    /**
+     * Start a timer in the worker, or on the page once the worker failed
+     */
+    function start(callback, ms, repeat) {
+        const id = nextId++;
+        const entry = { callback, ms: ms || 0, repeat, handle: null };
+        entries.set(id, entry);
+        if (worker) {
+            worker.postMessage({ command: repeat ? 'setInterval' : 'setTimeout', id, ms: entry.ms });
+        } else {
+            startOnPage(id, entry);
+        }
+        return id;
+    }
+
+    /**
+     * Stop a timeout or interval
+     */
+    function clear(id) {
+        const entry = entries.get(id);
+        if (!entry) {
+            return;
+        }
+        entries.delete(id);
+        if (entry.handle !== null) {
+            clearTimeout(entry.handle);
+            clearInterval(entry.handle);
+        } else if (worker) {
+            worker.postMessage({ command: 'clear', id });
+        }
+    }
+
+    return {
+        setTimeout: (callback, ms) => start(callback, ms, false),
+        clearTimeout: clear,
+        setInterval: (callback, ms) => start(callback, ms, true),
+        clearInterval: clear,
+    };
+}
+
+/**
+ * Storage for environments without localStorage; contents are lost on exit
+ */
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+/**
+ * One shared source of the Spotify playback state. Polls only while someone is
+ * subscribed, as often as the most demanding subscriber asks for, and hands every
+ * state it reads to all subscribers, so features don't each poll on their own.
+ * @param {Object} options - Store options
+ * @param {Object} options.player - Spotify client with getPlaybackState, like SpotifyAPI
+ * @param {Object} options.timers - { setTimeout, clearTimeout } (the page's if omitted)
+ * @param {Object} options.clock - { now() } returning the current time in ms
+ * @param {Object} options.logger - { log, warn, error } like console
+ * @returns {Object} Playback store
+ */
+function createPlaybackStore({ player, timers, clock, logger } = {}) {
+    timers = timers || { setTimeout: (callback, ms) => setTimeout(callback, ms), clearTimeout: id => clearTimeout(id) };
+    clock = clock || { now: () => Date.now() };
+    logger = logger || console;
+
+    let state = null; // Last playback state read
+    let fetchedAt = null; // When the request for it was sent
+    let pending = null; // Request in flight, shared by everyone who needs the state meanwhile
+    let subscribers = []; // { listener, intervalMs }
+    let pollTimer = null;
+
+    /**
+     * Read the playback state from Spotify and pass it to the subscribers
+     * @returns {Promise<Object|null>} Playback state
+     */
+    function fetchState() {
+        if (!pending) {
+            const startedAt = clock.now();
+            pending = player.getPlaybackState()
+                .then(newState => {
+                    state = newState;
+                    fetchedAt = startedAt;
+                    subscribers.slice().forEach(({ listener }) => {
+                        try {
+                            listener(newState, startedAt);
+                        } catch (error) {
+                            logger.error('Error in playback state listener:', error);
+                        }
+                    });
+                    return newState;
+                })
+                .finally(() => {
+                    pending = null;
+                });
+        }
+        return pending;
+    }
+
+    /**
+     * Get the playback state, reading it again if the last one is too old
+     * @param {Object} options - Read options
+     * @param {number} options.maxAgeMs - Accept a state read this long ago (0 always reads it again)
+     * @returns {Promise<Object|null>} Playback state
+     */
+    async function getState({ maxAgeMs = 0 } = {}) {
+        if (fetchedAt !== null && !pending && clock.now() - fetchedAt <= maxAgeMs) {
+            return state;
+        }
+        return fetchState();
+    }
+
+    /**
+     * Plan the next poll at the shortest interval any subscriber asked for
+     */
+    function schedulePoll() {
+        if (pollTimer !== null) {
+            timers.clearTimeout(pollTimer);
+            pollTimer = null;
+        }
+        if (subscribers.length === 0) {
+            return;
+        }
+
+        const intervalMs = Math.min(...subscribers.map(s => s.intervalMs));
+        const dueIn = fetchedAt === null ? 0 : Math.max(0, fetchedAt + intervalMs - clock.now());
+        pollTimer = timers.setTimeout(() => {
+            pollTimer = null;
+            fetchState()
+                .catch(error => logger.error('Error reading playback state:', error))
+                .finally(() => {
+                    if (pollTimer === null) {
+                        schedulePoll();
+                    }
+                });
+        }, dueIn);
+    }
+
+    /**
+     * Receive every playback state the store reads
+     * @param {Function} listener - Called with (state, fetchedAt)
+     * @param {Object} options - Subscription options
+     * @param {number} options.intervalMs - Read the state at least this often while subscribed
+     * @returns {Function} Call to unsubscribe
+     */
+    function subscribe(listener, { intervalMs = 5000 } = {}) {
+        const subscriber = { listener, intervalMs };
+        subscribers.push(subscriber);
+        schedulePoll();
+        return () => {
+            subscribers = subscribers.filter(s => s !== subscriber);
+            schedulePoll();
+        };
+    }
+
+    return {
+        getState,
+        subscribe
     };
-})();
+}
+
+const schedulerTimers = createWorkerTimers('js/timer-worker.js') || undefined;
+const PlaybackStore = typeof SpotifyAPI !== 'undefined'
+    ? createPlaybackStore({ player: SpotifyAPI, timers: schedulerTimers })
+    : undefined;
+const Scheduler = createScheduler({ timers: schedulerTimers, playbackStore: PlaybackStore });
+
+// Also loadable from Node (see daemon/daemon.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createScheduler, createPlaybackStore, createMemoryStorage, Scheduler };
+}
@@ -3,39 +3,132 @@
  * Handles all Spotify API calls for playback control
  */
 
-const SpotifyAPI = (function() {
+/**
+ * Error from the Spotify Web API
+ */
+class SpotifyApiError extends Error {
+    /**
+     * @param {string} message - Spotify's error message
+     * @param {Object} details - Error details
+     * @param {number} details.status - HTTP status, or 0 if the request didn't reach Spotify
+     * @param {string} details.reason - Spotify's reason code (e.g. 'NO_ACTIVE_DEVICE', 'PREMIUM_REQUIRED'), if any
+     * @param {number} details.retryAfter - Seconds to wait before retrying, from the Retry-After header
+     */
+    constructor(message, { status, reason = null, retryAfter = null }) {
+        super(message);
+        this.name = 'SpotifyApiError';
+        this.status = status;
+        this.reason = reason;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Create a Spotify API client
+ * @param {Object} auth - Token source with getAccessToken() and refreshToken(), like SpotifyAuth
+ * @returns {Object} Spotify API client
+ */
+function createSpotifyAPI(auth) {
     const API_BASE = 'https://api.spotify.com/v1';
+    const LINK_TYPES = ['track', 'album', 'playlist', 'artist', 'episode', 'show', 'audiobook', 'chapter', 'user'];
+    const SHORT_LINK_PATTERN = /(?:https?:\/\/)?(?:spotify\.link|spoti\.fi)\/[\w-]+/i;
+    const MAX_PLAYLIST_TRACKS = 500; // Stop paging through very long playlists
+    const MAX_RETRIES = 3; // Retries of a request that was rate limited or failed on Spotify's side
+    const RETRY_BASE_MS = 1000; // First backoff when Spotify doesn't say how long to wait, doubled per retry
+    const MAX_RETRY_WAIT_MS = 30 * 1000; // Give up instead of waiting longer than this
+
+    let blockedUntil = 0; // While rate limited, every request waits until then
 
     /**
-     * Make an authenticated API request
+     * Make an authenticated API request. Rate limited (429) and server error (5xx)
+     * responses are retried with backoff, and a rejected token (401) is refreshed once.
+     * @throws {SpotifyApiError} If the request fails for good
      */
     async function apiRequest(endpoint, options = {}) {
-        const accessToken = await SpotifyAuth.getAccessToken();
-        if (!accessToken) {
-            throw new Error('Not authenticated');
-        }
+        let refreshed = false;
+        for (let attempt = 0; ; attempt++) {
+            const waitMs = blockedUntil - Date.now();
+            if (waitMs > 0) {
+                await sleep(waitMs);
+            }
 
-        const response = await fetch(`${API_BASE}${endpoint}`, {
-            ...options,
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json',
-                ...options.headers,
-            },
-        });
+            const accessToken = await auth.getAccessToken();
+            if (!accessToken) {
+                throw new SpotifyApiError('Not authenticated', { status: 401, reason: 'NOT_AUTHENTICATED' });
+            }
 
-        // Handle 204 No Content
-        if (response.status === 204) {
-            return null;
-        }
+            let response;
+            try {
+                response = await fetch(`${API_BASE}${endpoint}`, {
+                    ...options,
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Content-Type': 'application/json',
+                        ...options.headers,
+                    },
+                });
+            } catch (error) {
+                // A POST (queue, skip) may have gone through, and repeating it would do it twice
+                if (attempt < MAX_RETRIES && options.method !== 'POST') {
+                    await sleep(RETRY_BASE_MS * 2 ** attempt);
+                    continue;
+                }
+                throw new SpotifyApiError(`Could not reach Spotify: ${error.message}`, { status: 0, reason: 'NETWORK_ERROR' });
+            }
 
-        // Handle errors
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({}));
-            throw new Error(error.error?.message || `API Error: ${response.status}`);
+            // Handle 204 No Content
+            if (response.status === 204) {
+                return null;
+            }
+            if (response.ok) {
+                return response.json();
+            }
+
+            const error = await toApiError(response);
+            if (error.status === 401 && !refreshed && auth.refreshToken) {
+                // The token may have been revoked or expired early
+                refreshed = true;
+                if (await auth.refreshToken()) {
+                    continue;
+                }
+            }
+            const retryable = error.status === 429 || (error.status >= 500 && options.method !== 'POST');
+            if (retryable && attempt < MAX_RETRIES) {
+                const delayMs = error.retryAfter !== null ? error.retryAfter * 1000 : RETRY_BASE_MS * 2 ** attempt;
+                if (delayMs <= MAX_RETRY_WAIT_MS) {
+                    if (error.status === 429) {
+                        blockedUntil = Math.max(blockedUntil, Date.now() + delayMs);
+                    } else {
+                        await sleep(delayMs);
+                    }
+                    continue;
+                }
+            }
+            throw error;
         }
+    }
 
-        return response.json();
+    /**
+     * Build the error for a failed response
+     * @param {Response} response - Response that isn't ok
+     * @returns {SpotifyApiError}
+     */
+    async function toApiError(response) {
+        const body = await response.json().catch(() => ({}));
+        const retryAfter = parseInt(response.headers.get('Retry-After'));
+        return new SpotifyApiError(body.error?.message || `API Error: ${response.status}`, {
+            status: response.status,
+            reason: body.error?.reason || null,
+            retryAfter: Number.isFinite(retryAfter) ? retryAfter : null,
+        });
+    }
+
+    /**
+     * Wait before retrying
+     * @param {number} ms - Milliseconds to wait
+     */
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     /**
@@ -50,10 +143,14 @@ const SpotifyAPI = (function() {
      */
     async function getPlaybackState() {
         try {
-            return await apiRequest('/me/player');
+            // Without additional_types, a playing podcast episode shows up as no item at all
+            return await apiRequest('/me/player?additional_types=episode');
         } catch (error) {
-            // No active device returns null
-            return null;
+            // No active device returns null, other failures are real errors
+            if (error.status === 404 || error.reason === 'NO_ACTIVE_DEVICE') {
+                return null;
+            }
+            throw error;
         }
     }
 
@@ -71,6 +168,7 @@ const SpotifyAPI = (function() {
      * @param {string} options.deviceId - Target device ID
      * @param {string} options.contextUri - Spotify URI of context (album, playlist, etc.)
      * @param {string[]} options.uris - Array of track URIs to play
+     * @param {Object} options.offset - Where to start in the context: { uri } or { position }
      * @param {number} options.positionMs - Position to start playback
      */
     async function play(options = {}) {
@@ -83,6 +181,9 @@ const SpotifyAPI = (function() {
         if (options.uris) {
             body.uris = options.uris;
         }
+        if (options.offset) {
+            body.offset = options.offset;
+        }
         if (options.positionMs !== undefined) {
             body.position_ms = options.positionMs;
         }
@@ -121,6 +222,53 @@ const SpotifyAPI = (function() {
         });
     }
 
+    /**
+     * Turn shuffle on or off
+     * @param {boolean} state - Whether to shuffle
+     * @param {string} deviceId - Target device ID (optional)
+     */
+    async function setShuffle(state, deviceId) {
+        const query = new URLSearchParams({
+            state: state ? 'true' : 'false',
+        });
+        if (deviceId) {
+            query.append('device_id', deviceId);
+        }
+        return apiRequest(`/me/player/shuffle?${query.toString()}`, {
+            method: 'PUT',
+        });
+    }
+
+    /**
+     * Set the repeat mode
+     * @param {string} state - 'track', 'context' or 'off'
+     * @param {string} deviceId - Target device ID (optional)
+     */
+    async function setRepeat(state, deviceId) {
+        const query = new URLSearchParams({ state });
+        if (deviceId) {
+            query.append('device_id', deviceId);
+        }
+        return apiRequest(`/me/player/repeat?${query.toString()}`, {
+            method: 'PUT',
+        });
+    }
+
+    /**
+     * Add a track to the end of the user's queue, to play after the current track
+     * @param {string} uri - Spotify URI of the track
+     * @param {string} deviceId - Target device ID (optional)
+     */
+    async function addToQueue(uri, deviceId) {
+        const query = new URLSearchParams({ uri });
+        if (deviceId) {
+            query.append('device_id', deviceId);
+        }
+        return apiRequest(`/me/player/queue?${query.toString()}`, {
+            method: 'POST',
+        });
+    }
+
     /**
      * Skip to next track
      */
@@ -145,13 +293,23 @@ const SpotifyAPI = (function() {
      * @param {number} limit - Number of results (default: 5)
      */
     async function searchTracks(query, limit = 5) {
+        const response = await search(query, ['track'], limit);
+        return response.tracks?.items || [];
+    }
+
+    /**
+     * Search for several kinds of items at once
+     * @param {string} query - Search query
+     * @param {string[]} types - Item types, e.g. ['track', 'playlist', 'album', 'artist']
+     * @param {number} limit - Number of results per type (default: 5)
+     */
+    async function search(query, types, limit = 5) {
         const params = new URLSearchParams({
             q: query,
-            type: 'track',
+            type: types.join(','),
             limit: limit,
         });
-        const response = await apiRequest(`/search?${params.toString()}`);
-        return response.tracks?.items || [];
+        return apiRequest(`/search?${params.toString()}`);
     }
 
     /**
@@ -162,6 +320,65 @@ const SpotifyAPI = (function() {
         return apiRequest(`/tracks/${trackId}`);
     }
 
+    /**
+     * Get podcast episode information
+     * @param {string} episodeId - Spotify episode ID
+     */
+    async function getEpisode(episodeId) {
+        return apiRequest(`/episodes/${episodeId}`);
+    }
+
+    /**
+     * Get playlist information, including the first page of its tracks
+     * @param {string} playlistId - Spotify playlist ID
+     */
+    async function getPlaylist(playlistId) {
+        return apiRequest(`/playlists/${playlistId}`);
+    }
+
+    /**
+     * Get all tracks of a playlist, following pagination
+     * @param {string} playlistId - Spotify playlist ID
+     * @returns {Object[]} Track objects (local files and episodes are left out)
+     */
+    async function getPlaylistTracks(playlistId) {
+        const tracks = [];
+        let offset = 0;
+        let total = Infinity;
+
+        while (offset < total && offset < MAX_PLAYLIST_TRACKS) {
+            const params = new URLSearchParams({
+                limit: 100,
+                offset: offset,
+            });
+            const page = await apiRequest(`/playlists/${playlistId}/tracks?${params.toString()}`);
+            const items = page.items || [];
+            tracks.push(...items.map(item => item.track).filter(track => track && track.type === 'track' && !track.is_local));
+            total = page.total || 0;
+            offset += 100;
+            if (items.length === 0) {
+                break;
+            }
+        }
+        return tracks;
+    }
+
+    /**
+     * Get album information, including its tracks
+     * @param {string} albumId - Spotify album ID
+     */
+    async function getAlbum(albumId) {
+        return apiRequest(`/albums/${albumId}`);
+    }
+
+    /**
+     * Get artist information
+     * @param {string} artistId - Spotify artist ID
+     */
+    async function getArtist(artistId) {
+        return apiRequest(`/artists/${artistId}`);
+    }
+
     /**
      * Get current playing track
      */
@@ -189,23 +406,65 @@ const SpotifyAPI = (function() {
     }
 
     /**
-     * Extract track ID from Spotify URI or URL
+     * Parse a Spotify URI or URL for any kind of Spotify item. Understands
+     * spotify:type:id URIs (also the old spotify:user:name:playlist:id form),
+     * open.spotify.com URLs with language (intl-de), embed or user segments and
+     * ?si= share parameters, and start times (#t=1:23 on URLs, #1:23 on URIs).
+     * spotify.link short links are only recognised: spotify.link doesn't allow reading
+     * where they redirect from a web page (no CORS headers), so they can't be followed.
      * @param {string} input - Spotify URI or URL
+     * @returns {Object|null} { type, id, uri, startMs } - type is one of LINK_TYPES, or 'short'
+     *     (with url instead of id and uri) for a short link; null if not recognised
      */
-    function extractTrackId(input) {
-        // Handle Spotify URI format: spotify:track:XXXX
-        const uriMatch = input.match(/spotify:track:([a-zA-Z0-9]+)/);
-        if (uriMatch) {
-            return uriMatch[1];
+    function parseSpotifyLink(input) {
+        const text = (input || '').trim();
+
+        const shortMatch = text.match(SHORT_LINK_PATTERN);
+        if (shortMatch) {
+            return { type: 'short', id: null, uri: null, url: `https://${shortMatch[0].replace(/^https?:\/\//i, '')}`, startMs: null };
+        }
+
+        const types = LINK_TYPES.join('|');
+        // Spotify URI format: spotify:playlist:XXXX or spotify:user:name:playlist:XXXX
+        const uriMatch = text.match(new RegExp(`spotify:(?:user:[^:\\s]+:)?(${types}):([^:/?#\\s]+)`));
+        // Spotify URL format: https://open.spotify.com/intl-de/playlist/XXXX?si=...
+        const urlMatch = text.match(new RegExp(
+            `(?:open|play)\\.spotify\\.com\\/(?:intl-[a-z-]+\\/)?(?:embed\\/)?(?:user\\/[^/?#\\s]+\\/)?(${types})\\/([^/?#\\s]+)`, 'i'));
+
+        const match = uriMatch || urlMatch;
+        if (!match) {
+            return null;
         }
+        const type = match[1].toLowerCase();
+        return {
+            type,
+            id: match[2],
+            uri: `spotify:${type}:${match[2]}`,
+            startMs: parseStartTime(text),
+        };
+    }
 
-        // Handle Spotify URL format: https://open.spotify.com/track/XXXX
-        const urlMatch = input.match(/open\.spotify\.com\/track\/([a-zA-Z0-9]+)/);
-        if (urlMatch) {
-            return urlMatch[1];
+    /**
+     * Read the start time of a link: #t=83 or #t=1:23 on URLs, #1:23 on URIs
+     * @param {string} text - Spotify URI or URL
+     * @returns {number|null} Start time in ms, or null if there is none
+     */
+    function parseStartTime(text) {
+        const match = text.match(/[#?&]t=(\d+(?::\d{1,2}){0,2})/) || text.match(/#(\d+(?::\d{1,2}){1,2})$/);
+        if (!match) {
+            return null;
         }
+        const seconds = match[1].split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+        return seconds * 1000;
+    }
 
-        return null;
+    /**
+     * Extract track ID from Spotify URI or URL
+     * @param {string} input - Spotify URI or URL
+     */
+    function extractTrackId(input) {
+        const link = parseSpotifyLink(input);
+        return link?.type === 'track' ? link.id : null;
     }
 
     /**
@@ -224,13 +483,30 @@ const SpotifyAPI = (function() {
         play,
         pause,
         setVolume,
+        setShuffle,
+        setRepeat,
+        addToQueue,
         next,
         previous,
         searchTracks,
+        search,
         getTrack,
+        getPlaylist,
+        getPlaylistTracks,
+        getAlbum,
+        getArtist,
         getCurrentlyPlaying,
         transferPlayback,
+        getEpisode,
+        parseSpotifyLink,
         extractTrackId,
         trackIdToUri,
     };
-})();
+}
+
+const SpotifyAPI = createSpotifyAPI(typeof SpotifyAuth !== 'undefined' ? SpotifyAuth : null);
+
+// Also loadable from Node (see daemon/daemon.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createSpotifyAPI, SpotifyApiError, SpotifyAPI };
+}
@@ -14,7 +14,9 @@ const SpotifyAuth = (function() {
         'user-read-playback-state',
         'user-modify-playback-state',
         'user-read-currently-playing',
-        'streaming'
+        'streaming',
+        'playlist-read-private',
+        'playlist-read-collaborative'
     ].join(' ');
 
     const AUTH_ENDPOINT = 'https://accounts.spotify.com/authorize';
@@ -24,6 +26,7 @@ const SpotifyAuth = (function() {
     const ACCESS_TOKEN_KEY = 'spotify_access_token';
     const REFRESH_TOKEN_KEY = 'spotify_refresh_token';
     const TOKEN_EXPIRY_KEY = 'spotify_token_expiry';
+    const TOKEN_SCOPE_KEY = 'spotify_token_scope';
     const CODE_VERIFIER_KEY = 'spotify_code_verifier';
 
     /**
@@ -161,6 +164,9 @@ const SpotifyAuth = (function() {
         if (tokenData.refresh_token) {
             localStorage.setItem(REFRESH_TOKEN_KEY, tokenData.refresh_token);
         }
+        if (tokenData.scope !== undefined) {
+            localStorage.setItem(TOKEN_SCOPE_KEY, tokenData.scope);
+        }
     }
 
     /**
@@ -231,6 +237,16 @@ const SpotifyAuth = (function() {
         return localStorage.getItem(ACCESS_TOKEN_KEY) !== null;
     }
 
+    /**
+     * Get the permissions the app asks for that the current login didn't grant,
+     * e.g. ones added since the user logged in. Logging in again grants them.
+     * @returns {string[]} Missing scopes (all of them for logins from before scopes were stored)
+     */
+    function getMissingScopes() {
+        const granted = (localStorage.getItem(TOKEN_SCOPE_KEY) || '').split(' ');
+        return SCOPES.split(' ').filter(scope => !granted.includes(scope));
+    }
+
     /**
      * Logout - clear all stored tokens
      */
@@ -238,6 +254,7 @@ const SpotifyAuth = (function() {
         localStorage.removeItem(ACCESS_TOKEN_KEY);
         localStorage.removeItem(REFRESH_TOKEN_KEY);
         localStorage.removeItem(TOKEN_EXPIRY_KEY);
+        localStorage.removeItem(TOKEN_SCOPE_KEY);
         localStorage.removeItem(CODE_VERIFIER_KEY);
     }
 
@@ -256,6 +273,7 @@ const SpotifyAuth = (function() {
         isLoggedIn,
         logout,
         refreshToken,
+        getMissingScopes,
         getClientId
     };
 })();
@@ -0,0 +1,24 @@
+/**
+ * Timer Worker
+ * Runs the scheduler's timers off the page, where browsers throttle them far less
+ * in background tabs (see createWorkerTimers in scheduler.js)
+ */
+
+const timers = new Map();
+
+self.onmessage = (e) => {
+    const { command, id, ms } = e.data;
+
+    if (command === 'setTimeout') {
+        timers.set(id, setTimeout(() => {
+            timers.delete(id);
+            self.postMessage({ id });
+        }, ms));
+    } else if (command === 'setInterval') {
+        timers.set(id, setInterval(() => self.postMessage({ id }), ms));
+    } else if (command === 'clear') {
+        // Timeout and interval IDs share one pool, so either call clears both
+        clearTimeout(timers.get(id));
+        timers.delete(id);
+    }
+};
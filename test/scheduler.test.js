@@ -0,0 +1,658 @@
+/**
+ * Scheduler tests
+ * Run the scheduler headless with a fake clock, timers, storage and player:
+ *
+ *     node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createScheduler, createMemoryStorage } = require('../js/scheduler.js');
+
+/**
+ * Create timers driven by a fake clock. Nothing runs until the test advances the clock.
+ * @param {number} start - Start time in ms
+ */
+function createFakeTime(start) {
+    let now = start;
+    let nextId = 1;
+    const pending = new Map(); // id -> { callback, at, ms, repeat }
+
+    const add = (callback, ms, repeat) => {
+        const id = nextId++;
+        pending.set(id, { callback, at: now + (ms || 0), ms: ms || 0, repeat });
+        return id;
+    };
+
+    /**
+     * Run every timer due up to a point in time, letting promises settle after each
+     * @param {number} end - Time to advance to in ms
+     */
+    async function runUntil(end) {
+        for (;;) {
+            let next = null;
+            for (const [id, timer] of pending) {
+                if (!next || timer.at < next.timer.at) {
+                    next = { id, timer };
+                }
+            }
+            if (!next || next.timer.at > end) {
+                now = end;
+                return;
+            }
+            now = next.timer.at;
+            if (next.timer.repeat) {
+                next.timer.at += Math.max(next.timer.ms, 1);
+            } else {
+                pending.delete(next.id);
+            }
+            next.timer.callback();
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    return {
+        clock: { now: () => now },
+        timers: {
+            setTimeout: (callback, ms) => add(callback, ms, false),
+            clearTimeout: id => pending.delete(id),
+            setInterval: (callback, ms) => add(callback, ms, true),
+            clearInterval: id => pending.delete(id)
+        },
+        runUntil,
+        advance: ms => runUntil(now + ms)
+    };
+}
+
+/**
+ * Create a Spotify client that keeps its playback state in memory and records every command.
+ * Playing tracks move on with the clock and are 3 minutes long.
+ * @param {Object} clock - { now() }
+ * @param {Object} state - Playback state before the test starts, or null for none
+ */
+function createFakePlayer(clock, state = null) {
+    const calls = [];
+    const queue = []; // Track URIs added to the queue, played when the current track ends
+    const device = { id: 'speaker', name: 'Speaker', is_active: true };
+    let stateAt = clock.now(); // When progress_ms was last set
+
+    /**
+     * The playback state as it is now, with progress moved on while playing
+     */
+    const current = () => {
+        if (!state || !state.is_playing) {
+            return state;
+        }
+        const progress = state.progress_ms + clock.now() - stateAt;
+        if (progress >= state.item.duration_ms && queue.length > 0) {
+            // Move on to the queued track from the moment the current one ended
+            stateAt += state.item.duration_ms - state.progress_ms;
+            state = { ...state, item: { uri: queue.shift(), duration_ms: 180000 }, progress_ms: 0 };
+            return current();
+        }
+        return { ...state, progress_ms: Math.min(progress, state.item.duration_ms) };
+    };
+    const update = (changes) => {
+        state = { ...current(), ...changes };
+        stateAt = clock.now();
+    };
+
+    const player = {
+        calls,
+        get state() {
+            return current();
+        },
+        getCurrentUser: async () => ({ product: 'premium' }),
+        getPlaybackState: async () => current(),
+        getDevices: async () => [device],
+        transferPlayback: async (deviceId) => calls.push(['transferPlayback', deviceId]),
+        play: async (options) => {
+            calls.push(['play', options]);
+            update({
+                is_playing: true,
+                item: { uri: options.uris?.[0] || options.offset?.uri || 'spotify:track:first', duration_ms: 180000 },
+                progress_ms: options.positionMs || 0,
+                device: { id: device.id, volume_percent: state?.device?.volume_percent ?? 50 },
+                context: options.contextUri ? { uri: options.contextUri } : null
+            });
+        },
+        pause: async (deviceId) => {
+            calls.push(['pause', deviceId]);
+            if (state) {
+                update({ is_playing: false });
+            }
+        },
+        setVolume: async (volume) => {
+            calls.push(['setVolume', volume]);
+            if (state) {
+                update({ device: { ...state.device, volume_percent: volume } });
+            }
+        },
+        setShuffle: async (shuffle) => {
+            calls.push(['setShuffle', shuffle]);
+            if (state) {
+                update({ shuffle_state: shuffle });
+            }
+        },
+        setRepeat: async (repeat) => {
+            calls.push(['setRepeat', repeat]);
+            if (state) {
+                update({ repeat_state: repeat });
+            }
+        },
+        addToQueue: async (uri) => {
+            calls.push(['addToQueue', uri]);
+            queue.push(uri);
+        },
+        next: async () => calls.push(['next']),
+        getPlaylistTracks: async () => []
+    };
+    return player;
+}
+
+/**
+ * Create an announcer that takes 3 seconds to speak anything and records what it said
+ * @param {Object} timers - Fake timers
+ */
+function createFakeAnnouncer(timers) {
+    const spoken = [];
+    return {
+        spoken,
+        speak: (text) => new Promise(resolve => {
+            spoken.push(text);
+            timers.setTimeout(resolve, 3000);
+        }),
+        cancel() {}
+    };
+}
+
+/**
+ * Create and start a scheduler on fake time and a fake player
+ * @param {Object} options - { start: Date, playing: playback state before the test, if any,
+ *     adapters: further adapters for createScheduler }
+ */
+function setup({ start, playing = null, adapters = {} }) {
+    const time = createFakeTime(start.getTime());
+    const player = createFakePlayer(time.clock, playing);
+    const announcer = createFakeAnnouncer(time.timers);
+    const notifications = [];
+    const scheduler = startScheduler(time, player, {
+        announcer,
+        notify: (message, isError) => notifications.push({ message, isError }),
+        ...adapters
+    });
+    return { scheduler, player, announcer, time, notifications };
+}
+
+/**
+ * Create and start a scheduler on existing fake time and player, e.g. a second tab or a reloaded page
+ * @param {Object} time - From createFakeTime
+ * @param {Object} player - From createFakePlayer
+ * @param {Object} adapters - Further adapters for createScheduler
+ */
+function startScheduler(time, player, adapters = {}) {
+    const scheduler = createScheduler({
+        clock: time.clock,
+        timers: time.timers,
+        storage: createMemoryStorage(),
+        player,
+        logger: { log() {}, warn() {}, error() {} },
+        ...adapters
+    });
+    scheduler.init();
+    return scheduler;
+}
+
+/**
+ * The commands of one kind the fake player received
+ */
+function callsOf(player, name) {
+    return player.calls.filter(call => call[0] === name).map(call => call[1]);
+}
+
+// The user's own music, playing when the tests start
+const USER_MUSIC = {
+    is_playing: true,
+    item: { uri: 'spotify:track:song', duration_ms: 300000 },
+    progress_ms: 60000,
+    device: { id: 'speaker', volume_percent: 30 },
+    context: { uri: 'spotify:playlist:mix' },
+    shuffle_state: true,
+    repeat_state: 'context'
+};
+
+const POOL_TRACKS = [
+    { uri: 'spotify:track:one', name: 'One' },
+    { uri: 'spotify:track:two', name: 'Two' }
+];
+
+describe('scheduler', () => {
+    it('plays a track when its schedule fires', async () => {
+        const { scheduler, player, time } = setup({ start: new Date(2026, 9, 19, 7, 59, 50) });
+        scheduler.addSchedule({ time: '08:00', trackUri: 'spotify:track:bell', trackName: 'Bell', volume: 70 });
+
+        await time.advance(5000);
+        assert.strictEqual(callsOf(player, 'play').length, 0, 'fired early');
+
+        await time.advance(10000);
+        assert.deepStrictEqual(callsOf(player, 'play').map(options => options.uris), [['spotify:track:bell']]);
+        assert.ok(callsOf(player, 'setVolume').includes(70));
+        assert.strictEqual(scheduler.getSchedules()[0].lastFiredAt, new Date(2026, 9, 19, 8, 0).getTime());
+        scheduler.shutdown();
+    });
+
+    it('stops playback at the duration limit', async () => {
+        const { scheduler, player, time } = setup({ start: new Date(2026, 9, 19, 7, 59, 50) });
+        scheduler.addSchedule({
+            time: '08:00',
+            trackUri: 'spotify:track:bell',
+            trackName: 'Bell',
+            playbackDuration: 10,
+            trackDuration: 180
+        });
+
+        await time.advance(15000);
+        assert.strictEqual(player.state.is_playing, true, 'stopped before the duration ran out');
+
+        await time.advance(10000);
+        assert.strictEqual(player.state.is_playing, false);
+        // Stopped with 10 seconds of the track played
+        assert.ok(player.state.progress_ms >= 10000 && player.state.progress_ms <= 12000, `stopped at ${player.state.progress_ms}`);
+        assert.strictEqual(scheduler.getActiveScheduleStatus(), null);
+        scheduler.shutdown();
+    });
+
+    it('restores the playback it interrupted', async () => {
+        const { scheduler, player, time } = setup({ start: new Date(2026, 9, 19, 7, 59, 50), playing: USER_MUSIC });
+        scheduler.addSchedule({
+            time: '08:00',
+            trackUri: 'spotify:track:bell',
+            trackName: 'Bell',
+            volume: 80,
+            playbackDuration: 10,
+            trackDuration: 180,
+            restorePlayback: true
+        });
+
+        await time.advance(40000);
+        const plays = callsOf(player, 'play');
+        assert.strictEqual(plays.length, 2);
+        assert.strictEqual(plays[1].contextUri, 'spotify:playlist:mix');
+        assert.deepStrictEqual(plays[1].offset, { uri: 'spotify:track:song' });
+        // Picks up where the song was paused, 10 seconds on from the start of the test
+        assert.strictEqual(plays[1].positionMs, 70000);
+        assert.strictEqual(player.state.item.uri, 'spotify:track:song');
+        assert.strictEqual(player.state.device.volume_percent, 30);
+        assert.ok(callsOf(player, 'setShuffle').includes(true));
+        assert.ok(callsOf(player, 'setRepeat').includes('context'));
+        scheduler.shutdown();
+    });
+
+    it('restores the user\'s music after back-to-back schedules, not the first schedule\'s track', async () => {
+        const { scheduler, player, time } = setup({ start: new Date(2026, 9, 19, 7, 59, 50), playing: USER_MUSIC });
+        // Stops at 08:00:58 and is still restoring when the next one fires at 08:01
+        scheduler.addSchedule({
+            time: '08:00',
+            trackUri: 'spotify:track:bell',
+            trackName: 'Bell',
+            playbackDuration: 57,
+            trackDuration: 180,
+            restorePlayback: true
+        });
+        await time.advance(1);
+        scheduler.addSchedule({
+            time: '08:01',
+            trackUri: 'spotify:track:gong',
+            trackName: 'Gong',
+            playbackDuration: 10,
+            trackDuration: 180,
+            restorePlayback: true
+        });
+
+        await time.runUntil(new Date(2026, 9, 19, 8, 1, 5).getTime());
+        assert.strictEqual(player.state.item.uri, 'spotify:track:gong', 'the first restore overwrote the next schedule');
+
+        await time.runUntil(new Date(2026, 9, 19, 8, 1, 30).getTime());
+        const plays = callsOf(player, 'play');
+        assert.deepStrictEqual(plays.map(options => options.uris?.[0] || options.offset?.uri),
+            ['spotify:track:bell', 'spotify:track:gong', 'spotify:track:song']);
+        assert.strictEqual(plays[2].contextUri, 'spotify:playlist:mix');
+        assert.strictEqual(player.state.item.uri, 'spotify:track:song');
+        assert.strictEqual(player.state.device.volume_percent, 30);
+        scheduler.shutdown();
+    });
+
+    it('moves a session through starting, playing, stopping and restoring to done', async () => {
+        const { scheduler, time } = setup({ start: new Date(2026, 9, 19, 7, 59, 50), playing: USER_MUSIC });
+        const states = [];
+        scheduler.onSessionTransition(({ from, to }) => states.push(`${from} → ${to}`));
+        scheduler.addSchedule({
+            time: '08:00',
+            trackUri: 'spotify:track:bell',
+            trackName: 'Bell',
+            playbackDuration: 10,
+            trackDuration: 180,
+            restorePlayback: true
+        });
+
+        await time.advance(40000);
+        assert.deepStrictEqual(states, [
+            'null → starting',
+            'starting → playing',
+            'playing → stopping',
+            'stopping → restoring',
+            'restoring → done'
+        ]);
+        scheduler.shutdown();
+    });
+
+    it('moves a session through announcing after its music, or instead of it', async () => {
+        const { scheduler, time } = setup({ start: new Date(2026, 9, 19, 7, 59, 50), playing: USER_MUSIC });
+        const states = [];
+        scheduler.onSessionTransition(({ from, to }) => states.push(`${from} → ${to}`));
+        scheduler.addSchedule({
+            time: '08:00',
+            trackUri: 'spotify:track:bell',
+            trackName: 'Bell',
+            playbackDuration: 10,
+            trackDuration: 180,
+            restorePlayback: true,
+            announcement: { text: 'Break is over', position: 'after' }
+        });
+        await time.advance(1);
+        scheduler.addSchedule({
+            time: '08:01',
+            trackName: 'Announcement',
+            restorePlayback: true,
+            announcement: { text: 'Lunch', position: 'instead' }
+        });
+
+        await time.advance(90000);
+        assert.deepStrictEqual(states, [
+            'null → starting',
+            'starting → playing',
+            'playing → stopping',
+            'stopping → announcing',
+            'announcing → restoring',
+            'restoring → done',
+            'null → starting',
+            'starting → announcing',
+            'announcing → restoring',
+            'restoring → done'
+        ]);
+        scheduler.shutdown();
+    });
+
+    it('waits for the current track before playing a queued session', async () => {
+        const { scheduler, player, time } = setup({ start: new Date(2026, 9, 19, 7, 59, 50), playing: { ...USER_MUSIC, progress_ms: 280000 } });
+        const states = [];
+        scheduler.onSessionTransition(({ from, to }) => states.push(`${from} → ${to}`));
+        scheduler.addSchedule({
+            time: '08:00',
+            trackUri: 'spotify:track:bell',
+            trackName: 'Bell',
+            playbackDuration: 10,
+            trackDuration: 180,
+            restorePlayback: true,
+            startMode: 'after-current'
+        });
+
+        // The song ends at 08:00:10 and the queued track plays until 08:00:20
+        await time.advance(60000);
+        assert.deepStrictEqual(callsOf(player, 'play'), [], 'cut off the current track');
+        assert.deepStrictEqual(states, [
+            'null → starting',
+            'starting → waiting',
+            'waiting → playing',
+            'playing → stopping',
+            'stopping → restoring',
+            'restoring → done'
+        ]);
+        scheduler.shutdown();
+    });
+
+    it('accepts a schedule that only speaks an announcement', async () => {
+        const { scheduler, player, announcer, time } = setup({ start: new Date(2026, 9, 19, 7, 59, 50) });
+        const schedule = scheduler.addSchedule({
+            time: '08:00',
+            trackName: 'Announcement',
+            announcement: { text: 'Break is over', position: 'instead' }
+        });
+        assert.strictEqual(schedule.trackUri, null);
+
+        await time.advance(20000);
+        assert.deepStrictEqual(announcer.spoken, ['Break is over']);
+        assert.strictEqual(callsOf(player, 'play').length, 0);
+        scheduler.shutdown();
+    });
+
+    it('warns that a waiting track stays in the Spotify queue when another schedule takes over', async () => {
+        const { scheduler, player, time, notifications } = setup({ start: new Date(2026, 9, 19, 7, 59, 50), playing: USER_MUSIC });
+        scheduler.addSchedule({ time: '08:00', trackUri: 'spotify:track:bell', trackName: 'Bell', startMode: 'after-current' });
+        await time.advance(1);
+        scheduler.addSchedule({ time: '08:01', trackUri: 'spotify:track:gong', trackName: 'Gong' });
+
+        await time.advance(15000);
+        assert.deepStrictEqual(callsOf(player, 'addToQueue'), ['spotify:track:bell']);
+        assert.strictEqual(callsOf(player, 'play').length, 0, 'cut off the current track');
+
+        await time.advance(60000);
+        assert.deepStrictEqual(callsOf(player, 'play').map(options => options.uris), [['spotify:track:gong']]);
+        assert.ok(notifications.some(n => n.isError && n.message.startsWith('Bell gave way to Gong but stays in the Spotify queue')));
+        scheduler.shutdown();
+    });
+
+    it('switches a pool schedule to a single track', async () => {
+        const { scheduler, player, time } = setup({ start: new Date(2026, 9, 19, 7, 59, 50) });
+        const schedule = scheduler.addSchedule({ time: '08:00', pool: { tracks: POOL_TRACKS } });
+
+        const updated = scheduler.updateSchedule(schedule.id, {
+            trackUri: 'spotify:track:bell',
+            trackName: 'Bell',
+            contextUri: null,
+            pool: null
+        });
+        assert.strictEqual(updated.pool, null);
+
+        await time.advance(15000);
+        assert.deepStrictEqual(callsOf(player, 'play').map(options => options.uris), [['spotify:track:bell']]);
+        scheduler.shutdown();
+    });
+
+    it('switches a pool schedule to a playlist', async () => {
+        const { scheduler, player, time } = setup({ start: new Date(2026, 9, 19, 7, 59, 50) });
+        const schedule = scheduler.addSchedule({ time: '08:00', pool: { tracks: POOL_TRACKS } });
+
+        const updated = scheduler.updateSchedule(schedule.id, {
+            trackUri: null,
+            contextUri: 'spotify:playlist:mix',
+            trackName: 'Mix',
+            pool: null
+        });
+        assert.strictEqual(updated.pool, null);
+        assert.strictEqual(updated.contextUri, 'spotify:playlist:mix');
+
+        await time.advance(15000);
+        assert.deepStrictEqual(callsOf(player, 'play').map(options => options.contextUri), ['spotify:playlist:mix']);
+        scheduler.shutdown();
+    });
+
+    it('keeps the pool of a schedule when an edit leaves it out', () => {
+        const { scheduler } = setup({ start: new Date(2026, 9, 19, 7, 59, 50) });
+        const schedule = scheduler.addSchedule({ time: '08:00', pool: { tracks: POOL_TRACKS } });
+
+        const updated = scheduler.updateSchedule(schedule.id, { time: '09:00' });
+        assert.deepStrictEqual(updated.pool.tracks.map(track => track.uri), POOL_TRACKS.map(track => track.uri));
+        assert.strictEqual(updated.pool.upNext, schedule.pool.upNext);
+        scheduler.shutdown();
+    });
+
+    it('rejects a start position for a playlist', () => {
+        const { scheduler } = setup({ start: new Date(2026, 9, 19, 7, 59, 50) });
+        assert.throws(
+            () => scheduler.addSchedule({ time: '08:00', contextUri: 'spotify:playlist:mix', trackDuration: 3600, startPosition: 300 }),
+            /always start at the beginning of a track/
+        );
+        scheduler.shutdown();
+    });
+
+    it('picks up changes another tab saved without writing them back', () => {
+        const storage = createMemoryStorage();
+        const skipDateChanges = [];
+        const { scheduler } = setup({
+            start: new Date(2026, 9, 19, 7, 59, 50),
+            adapters: { storage, onSkipDatesChanged: () => skipDateChanges.push(scheduler.getSkipDates()) }
+        });
+
+        const otherTabSchedules = JSON.stringify([{ id: '1', time: '08:00', trackUri: 'spotify:track:bell', enabled: true }]);
+        storage.setItem('spotify_schedules', otherTabSchedules);
+        storage.setItem('spotify_skip_dates', JSON.stringify([{ id: '2', start: '2026-12-24', end: '2026-12-26', label: '' }]));
+        scheduler.handleStorageChange('spotify_schedules');
+        scheduler.handleStorageChange('spotify_skip_dates');
+
+        assert.strictEqual(scheduler.getSchedules().length, 1);
+        assert.strictEqual(storage.getItem('spotify_schedules'), otherTabSchedules);
+        assert.deepStrictEqual(skipDateChanges.map(dates => dates.map(d => d.start)), [['2026-12-24']]);
+        scheduler.shutdown();
+    });
+
+    it('lets only the elected tab trigger, and another take over when it stops', async () => {
+        const time = createFakeTime(new Date(2026, 9, 19, 7, 59, 50).getTime());
+        const player = createFakePlayer(time.clock);
+        const storage = createMemoryStorage();
+        const followerWrites = [];
+        const leader = startScheduler(time, player, { storage, sharedStorage: true });
+        const follower = startScheduler(time, player, {
+            storage: {
+                ...storage,
+                setItem: (key, value) => {
+                    followerWrites.push(key);
+                    storage.setItem(key, value);
+                }
+            },
+            sharedStorage: true
+        });
+
+        await time.advance(2000);
+        const schedule = leader.addSchedule({ time: '08:00', trackUri: 'spotify:track:bell', trackName: 'Bell', playbackDuration: 5 });
+        follower.handleStorageChange('spotify_schedules');
+        await time.runUntil(new Date(2026, 9, 19, 8, 0, 10).getTime());
+        assert.deepStrictEqual(callsOf(player, 'play').map(options => options.uris[0]), ['spotify:track:bell']);
+        await assert.rejects(follower.triggerNow(schedule.id), /Another tab plays the schedules/);
+
+        // The follower shows the leader's edit without saving its own copy over it
+        followerWrites.length = 0;
+        leader.updateSchedule(schedule.id, { time: '08:01', trackUri: 'spotify:track:gong', trackName: 'Gong' });
+        follower.handleStorageChange('spotify_schedules');
+        assert.strictEqual(follower.getSchedules()[0].trackName, 'Gong');
+        assert.ok(!followerWrites.includes('spotify_schedules'), 'the follower wrote the schedules back');
+
+        // The leader's tab freezes; once its lease runs out the follower triggers instead
+        leader.stopChecking();
+        await time.runUntil(new Date(2026, 9, 19, 8, 1, 10).getTime());
+        assert.deepStrictEqual(callsOf(player, 'play').map(options => options.uris[0]), ['spotify:track:bell', 'spotify:track:gong']);
+        leader.shutdown();
+        follower.shutdown();
+    });
+
+    it('resumes a session after a reload and stops it at the original end', async () => {
+        const time = createFakeTime(new Date(2026, 9, 19, 7, 59, 50).getTime());
+        const player = createFakePlayer(time.clock, USER_MUSIC);
+        const storage = createMemoryStorage();
+        const page = startScheduler(time, player, { storage });
+        page.addSchedule({
+            time: '08:00',
+            trackUri: 'spotify:track:bell',
+            trackName: 'Bell',
+            playbackDuration: 30,
+            trackDuration: 180,
+            restorePlayback: true
+        });
+        await time.runUntil(new Date(2026, 9, 19, 8, 0, 10).getTime());
+        page.shutdown(); // The page is reloaded
+
+        const reloaded = startScheduler(time, player, { storage });
+        assert.strictEqual(reloaded.getActiveScheduleStatus().schedule.trackName, 'Bell');
+        await time.runUntil(new Date(2026, 9, 19, 8, 0, 29).getTime());
+        assert.strictEqual(player.state.item.uri, 'spotify:track:bell', 'stopped before its end');
+
+        await time.runUntil(new Date(2026, 9, 19, 8, 0, 40).getTime());
+        assert.deepStrictEqual(callsOf(player, 'play').map(options => options.uris?.[0] || options.offset?.uri),
+            ['spotify:track:bell', 'spotify:track:song']);
+        assert.strictEqual(player.state.item.uri, 'spotify:track:song');
+        assert.strictEqual(reloaded.getActiveScheduleStatus(), null);
+        reloaded.shutdown();
+    });
+
+    it('restores a session that ended while the page was closed, without playing it again', async () => {
+        const time = createFakeTime(new Date(2026, 9, 19, 7, 59, 50).getTime());
+        const player = createFakePlayer(time.clock, USER_MUSIC);
+        const storage = createMemoryStorage();
+        const page = startScheduler(time, player, { storage });
+        page.addSchedule({
+            time: '08:00',
+            trackUri: 'spotify:track:bell',
+            trackName: 'Bell',
+            playbackDuration: 30,
+            trackDuration: 180,
+            restorePlayback: true
+        });
+        await time.runUntil(new Date(2026, 9, 19, 8, 0, 10).getTime());
+        page.shutdown();
+
+        // Opened again two minutes later, with the scheduled track still playing
+        await time.runUntil(new Date(2026, 9, 19, 8, 2).getTime());
+        const reloaded = startScheduler(time, player, { storage });
+        await time.advance(10000);
+        assert.deepStrictEqual(callsOf(player, 'play').map(options => options.uris?.[0] || options.offset?.uri),
+            ['spotify:track:bell', 'spotify:track:song']);
+        assert.strictEqual(player.state.item.uri, 'spotify:track:song');
+        reloaded.shutdown();
+    });
+
+    it('warns before a schedule whose devices are closed, and passes other Spotify errors on as they are', async () => {
+        const { scheduler, player, time, notifications } = setup({ start: new Date(2026, 9, 19, 7, 54) });
+        scheduler.addSchedule({
+            time: '08:00',
+            trackUri: 'spotify:track:bell',
+            trackName: 'Bell',
+            devices: [{ id: 'kitchen', name: 'Kitchen' }]
+        });
+
+        await time.advance(60000);
+        assert.deepStrictEqual(notifications.map(n => n.message), [
+            'Bell at 08:00 may not play: None of the devices for Bell are available (Kitchen). Open Spotify on one of them.'
+        ]);
+
+        // Edit the schedule so it is checked again, this time while Spotify limits requests
+        player.getDevices = async () => {
+            throw Object.assign(new Error('Too many requests'), { status: 429, retryAfter: 30 });
+        };
+        scheduler.updateSchedule(scheduler.getSchedules()[0].id, { time: '07:59' });
+        await time.advance(1000);
+        assert.strictEqual(notifications[1].message, 'Bell at 07:59 may not play: Spotify is limiting requests, try again in 30 seconds.');
+        scheduler.shutdown();
+    });
+
+    it('rolls a repeating schedule over to the next day at midnight', async () => {
+        const { scheduler, player, time } = setup({ start: new Date(2026, 9, 23, 23, 59) });
+        const daily = scheduler.addSchedule({ time: '00:01', trackUri: 'spotify:track:bell', trackName: 'Bell' });
+        // It's Friday 23:59 already, so the next weekday is Monday
+        const weekdays = scheduler.addSchedule({
+            time: '23:59',
+            trackUri: 'spotify:track:gong',
+            trackName: 'Gong',
+            recurrence: { frequency: 'weekly', days: [1, 2, 3, 4, 5] }
+        });
+        const fireTime = schedule => scheduler.getSchedules().find(s => s.trackUri === schedule.trackUri).nextFireAt;
+
+        assert.strictEqual(fireTime(daily), new Date(2026, 9, 24, 0, 1).getTime());
+        assert.strictEqual(fireTime(weekdays), new Date(2026, 9, 26, 23, 59).getTime());
+
+        await time.runUntil(new Date(2026, 9, 24, 0, 2).getTime());
+        assert.deepStrictEqual(callsOf(player, 'play').map(options => options.uris[0]), ['spotify:track:bell']);
+        assert.strictEqual(fireTime(daily), new Date(2026, 9, 25, 0, 1).getTime());
+        assert.strictEqual(fireTime(weekdays), new Date(2026, 9, 26, 23, 59).getTime());
+        scheduler.shutdown();
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * Spotify API tests
+ * Check the parts of the API client that don't talk to Spotify:
+ *
+ *     node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createSpotifyAPI } = require('../js/spotify-api.js');
+
+const { parseSpotifyLink } = createSpotifyAPI(null);
+
+describe('parseSpotifyLink', () => {
+    it('reads spotify: URIs, including the old user playlist form', () => {
+        assert.deepStrictEqual(parseSpotifyLink('spotify:track:4uLU6hMCjMI75M1A2tKUQC'), {
+            type: 'track', id: '4uLU6hMCjMI75M1A2tKUQC', uri: 'spotify:track:4uLU6hMCjMI75M1A2tKUQC', startMs: null
+        });
+        assert.strictEqual(parseSpotifyLink('spotify:user:someone:playlist:37i9dQZF1DXcBWIGoYBM5M').uri,
+            'spotify:playlist:37i9dQZF1DXcBWIGoYBM5M');
+    });
+
+    it('reads open.spotify.com links with a language segment and share parameters', () => {
+        assert.deepStrictEqual(parseSpotifyLink('https://open.spotify.com/intl-de/album/1DFixLWuPkv3KT3TnV35m3?si=abc123'), {
+            type: 'album', id: '1DFixLWuPkv3KT3TnV35m3', uri: 'spotify:album:1DFixLWuPkv3KT3TnV35m3', startMs: null
+        });
+        assert.strictEqual(parseSpotifyLink('open.spotify.com/intl-pt-br/playlist/37i9dQZF1DXcBWIGoYBM5M').uri,
+            'spotify:playlist:37i9dQZF1DXcBWIGoYBM5M');
+        assert.strictEqual(parseSpotifyLink('https://open.spotify.com/embed/episode/512ojhOuo1ktJprKbVcKyQ').uri,
+            'spotify:episode:512ojhOuo1ktJprKbVcKyQ');
+    });
+
+    it('reads the start time of a link', () => {
+        assert.strictEqual(parseSpotifyLink('https://open.spotify.com/episode/512ojhOuo1ktJprKbVcKyQ?si=abc#t=1:23').startMs, 83000);
+        assert.strictEqual(parseSpotifyLink('https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC?t=90').startMs, 90000);
+        assert.strictEqual(parseSpotifyLink('spotify:track:4uLU6hMCjMI75M1A2tKUQC#0:45').startMs, 45000);
+    });
+
+    it('recognises short links without an ID', () => {
+        assert.deepStrictEqual(parseSpotifyLink('spotify.link/ZabC12xY'), {
+            type: 'short', id: null, uri: null, url: 'https://spotify.link/ZabC12xY', startMs: null
+        });
+        assert.strictEqual(parseSpotifyLink('https://spoti.fi/3xYz').type, 'short');
+    });
+
+    it('rejects text that isn\'t a Spotify link', () => {
+        assert.strictEqual(parseSpotifyLink('https://example.com/track/4uLU6hMCjMI75M1A2tKUQC'), null);
+        assert.strictEqual(parseSpotifyLink('never gonna give you up'), null);
+        assert.strictEqual(parseSpotifyLink(''), null);
+    });
+});